@@ -15,6 +15,54 @@
 
 import fetch from 'node-fetch';
 
+// ============== RESULT MAPPING ==============
+// Exported so archived raw responses can be mapped the same way later
+
+/**
+ * Map Local Finder items (returned as local_pack items) to the lead shape
+ */
+export function mapLocalFinderItems(items) {
+  return (items || [])
+    .filter(item => item.type === 'local_pack' || item.type === 'maps_search')
+    .map(item => ({
+      id: item.place_id || item.cid,
+      name: item.title,
+      phone: item.phone,
+      website: item.url,
+      address: item.address,
+      rating: item.rating?.value,
+      reviewsCount: item.rating?.votes_count,
+      category: item.category,
+      coordinates: item.latitude && item.longitude ? { lat: item.latitude, lng: item.longitude } : null,
+      placeId: item.place_id,
+      cid: item.cid
+    }));
+}
+
+/**
+ * Map Business Listings items to the lead shape
+ */
+export function mapBusinessListingItems(items) {
+  return (items || []).map(item => ({
+    id: item.place_id,
+    name: item.title,
+    phone: item.phone,
+    website: item.domain,
+    address: item.address,
+    addressInfo: item.address_info,
+    rating: item.rating?.value,
+    reviewsCount: item.rating?.votes_count,
+    category: item.category,
+    categoryIds: item.category_ids,
+    coordinates: {
+      lat: item.latitude,
+      lng: item.longitude
+    },
+    isClaimed: item.is_claimed,
+    placeId: item.place_id
+  }));
+}
+
 export class DataForSEOClient {
   constructor(login, password) {
     this.login = login;
@@ -146,22 +194,7 @@ export class DataForSEOClient {
 
     const data = await this.request('/serp/google/local_finder/live/advanced', 'POST', payload);
     
-    const items = data.tasks?.[0]?.result?.[0]?.items || [];
-    
-    return items
-      .filter(item => item.type === 'maps_search')
-      .map(item => ({
-        id: item.place_id || item.cid,
-        name: item.title,
-        phone: item.phone,
-        website: item.url,
-        address: item.address,
-        rating: item.rating?.value,
-        reviewsCount: item.rating?.votes_count,
-        category: item.category,
-        placeId: item.place_id,
-        cid: item.cid
-      }));
+    return mapLocalFinderItems(data.tasks?.[0]?.result?.[0]?.items);
   }
 
   // ============== BUSINESS DATA API - BUSINESS LISTINGS ==============
@@ -215,26 +248,7 @@ export class DataForSEOClient {
 
     const data = await this.request('/business_data/business_listings/search/live', 'POST', payload);
     
-    const items = data.tasks?.[0]?.result?.[0]?.items || [];
-    
-    return items.map(item => ({
-      id: item.place_id,
-      name: item.title,
-      phone: item.phone,
-      website: item.domain,
-      address: item.address,
-      addressInfo: item.address_info,
-      rating: item.rating?.value,
-      reviewsCount: item.rating?.votes_count,
-      category: item.category,
-      categoryIds: item.category_ids,
-      coordinates: {
-        lat: item.latitude,
-        lng: item.longitude
-      },
-      isClaimed: item.is_claimed,
-      placeId: item.place_id
-    }));
+    return mapBusinessListingItems(data.tasks?.[0]?.result?.[0]?.items);
   }
 
   // ============== BUSINESS DATA API - GOOGLE MY BUSINESS ==============
@@ -424,30 +438,6 @@ export const LOCATION_CODES = {
   PARIS: 1006094
 };
 
-// ============== CATEGORY EXAMPLES ==============
-export const COMMON_CATEGORIES = [
-  'restaurant',
-  'cleaning service',
-  'commercial cleaning',
-  'office cleaning',
-  'medical clinic',
-  'dental office',
-  'gym',
-  'fitness center',
-  'hair salon',
-  'beauty salon',
-  'real estate agency',
-  'hotel',
-  'school',
-  'daycare',
-  'retail store',
-  'auto repair',
-  'plumber',
-  'electrician',
-  'landscaping',
-  'construction company'
-];
-
 // ============== TEST / CLI ==============
 async function main() {
   const args = process.argv.slice(2);
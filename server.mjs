@@ -9,9 +9,12 @@
 
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, readdirSync, rmSync, statSync, renameSync, openSync, writeSync, fsyncSync, closeSync } from 'fs';
+import { gzipSync, gunzipSync } from 'zlib';
 import fetch from 'node-fetch';
+import Database from 'better-sqlite3';
+import { DataForSEOClient, mapLocalFinderItems, mapBusinessListingItems } from './dataforseo-client.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,41 +34,653 @@ const CONFIG_PATH = join(DATA_DIR, 'config.json');
 const NEIGHBORHOODS_PATH = join(DATA_DIR, 'neighborhoods.json');
 const LOGS_PATH = join(DATA_DIR, 'logs.json');
 const MONTREAL_AREAS_PATH = join(__dirname, 'montreal-areas.json');
+const FIXTURE_RESULTS_PATH = join(__dirname, 'fixtures', 'maps-results.json');
+const CATEGORY_CATALOG_SEED_PATH = join(__dirname, 'category-catalog.json');
+const CATEGORIES_PATH = join(DATA_DIR, 'categories.json');
+const YIELD_STATS_PATH = join(DATA_DIR, 'yield-stats.json');
 const SCRAPE_PROGRESS_PATH = join(DATA_DIR, 'scrape-progress.json');
 const LOCAL_LEADS_PATH = join(DATA_DIR, 'local-leads.json');
 const DNC_PATH = join(DATA_DIR, 'dnc-list.json');
 const LEADS_POOL_PATH = join(DATA_DIR, 'leads-pool.json');
+const SPEND_LEDGER_PATH = join(DATA_DIR, 'spend-ledger.json');
+const AREA_SNAPSHOTS_PATH = join(DATA_DIR, 'area-snapshots.json');
+const SCHEDULES_PATH = join(DATA_DIR, 'schedules.json');
+const LEADS_DB_PATH = join(DATA_DIR, 'leads.db');
+const JOBS_DIR = join(DATA_DIR, 'jobs');
+if (!existsSync(JOBS_DIR)) {
+  mkdirSync(JOBS_DIR, { recursive: true });
+}
+const RAW_ARCHIVE_DIR = join(DATA_DIR, 'raw-responses');
+
+// ============== JSON FILE STORE ==============
+// The JSON data files (config, logs, jobs, schedules, ledger...) are read and written
+// through these helpers:
+// - a write goes to a temp file that is flushed to disk and renamed over the old file,
+//   so a crash leaves the old or the new version, never half of one. The version it
+//   replaces is kept as <file>.bak (rolling, one generation).
+// - a file that does not parse is moved aside as <file>.corrupt-<time> and its .bak is
+//   restored in its place (or the default is used) instead of crashing on JSON.parse.
+// - updateJsonFile runs load -> modify -> save in one go. Mutations are synchronous,
+//   so nothing else can touch the file in between; a mutation that updates the same
+//   file from inside itself throws rather than silently dropping one of the writes.
+// Never keep a loaded copy across an `await` and save it afterwards - re-read instead.
+
+function readJsonFile(path, fallback = () => null) {
+  if (existsSync(path)) {
+    try {
+      return JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (e) {
+      const corruptPath = `${path}.corrupt-${Date.now()}`;
+      renameSync(path, corruptPath);
+      console.error(`Corrupted ${basename(path)} (${e.message}) - moved to ${basename(corruptPath)}`);
+    }
+  }
+  
+  // Missing (a crash between the two renames of a write) or corrupted: fall back to the backup
+  const backupPath = `${path}.bak`;
+  if (existsSync(backupPath)) {
+    try {
+      const data = JSON.parse(readFileSync(backupPath, 'utf-8'));
+      writeJsonFile(path, data, { backup: false });
+      console.error(`Restored ${basename(path)} from ${basename(backupPath)}`);
+      return data;
+    } catch (e) {
+      console.error(`Backup ${basename(backupPath)} is unreadable too (${e.message})`);
+    }
+  }
+  return fallback();
+}
 
-// ============== LOCAL LEADS STORAGE ==============
-// Store leads locally so they're NEVER lost, even if Airtable fails
+// `backup: false` for files rewritten constantly whose last version is enough (jobs, logs)
+function writeJsonFile(path, data, { backup = true } = {}) {
+  const tempPath = `${path}.tmp-${process.pid}`;
+  const fd = openSync(tempPath, 'w');
+  try {
+    writeSync(fd, JSON.stringify(data, null, 2));
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  if (backup && existsSync(path)) renameSync(path, `${path}.bak`);
+  renameSync(tempPath, path);
+}
+
+const jsonFilesBeingUpdated = new Set();
+
+// Load the file (or the fallback), apply `mutate` to it, save it; returns what mutate returns
+function updateJsonFile(path, fallback, mutate) {
+  if (jsonFilesBeingUpdated.has(path)) {
+    throw new Error(`${basename(path)} is already being updated`);
+  }
+  jsonFilesBeingUpdated.add(path);
+  try {
+    const data = readJsonFile(path, fallback);
+    const result = mutate(data);
+    if (typeof result?.then === 'function') {
+      throw new Error(`Updates of ${basename(path)} must be synchronous`);
+    }
+    writeJsonFile(path, data);
+    return result;
+  } finally {
+    jsonFilesBeingUpdated.delete(path);
+  }
+}
+
+// ============== LEAD DATABASE (SQLite) ==============
+// Leads, campaigns, the DNC list, the lead pool, postal code progress and the spend
+// ledger live in data/leads.db. A lead row keeps the whole lead as JSON next to the
+// columns routes filter on (phone, placeId, campaign, status, area...), so a request
+// only reads the rows it needs and a status change rewrites one row. The JSON files
+// these used to live in are imported once on first start (migrateJsonStores,
+// migrateSpendLedger) and left as they were.
+// Phones are stored normalized (normalizePhone) in every table.
+
+const db = new Database(LEADS_DB_PATH);
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS leads (
+    id TEXT PRIMARY KEY,
+    campaign_id TEXT,
+    campaign_name TEXT,
+    phone TEXT,
+    place_id TEXT,
+    status TEXT NOT NULL DEFAULT 'New',
+    area TEXT,
+    website_type TEXT,
+    has_email INTEGER NOT NULL DEFAULT 0,
+    imported_at TEXT,
+    name_address TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS leads_phone ON leads (phone);
+  CREATE INDEX IF NOT EXISTS leads_place_id ON leads (place_id);
+  CREATE INDEX IF NOT EXISTS leads_campaign_id ON leads (campaign_id);
+  CREATE INDEX IF NOT EXISTS leads_campaign_name ON leads (campaign_name);
+  CREATE INDEX IF NOT EXISTS leads_status ON leads (status);
+  CREATE INDEX IF NOT EXISTS leads_area ON leads (area);
+  CREATE INDEX IF NOT EXISTS leads_imported_at ON leads (imported_at);
+
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS campaigns_name ON campaigns (name);
+
+  CREATE TABLE IF NOT EXISTS dnc (
+    phone TEXT PRIMARY KEY,
+    original_phone TEXT,
+    reason TEXT,
+    source TEXT,
+    added_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS lead_pool (
+    phone TEXT PRIMARY KEY,
+    lead_id TEXT,
+    campaign TEXT,
+    first_seen_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS postal_code_progress (
+    code TEXT PRIMARY KEY,
+    status TEXT,
+    leads_count INTEGER NOT NULL DEFAULT 0,
+    last_scraped TEXT,
+    campaigns TEXT NOT NULL DEFAULT '[]'
+  );
+
+  CREATE TABLE IF NOT EXISTS saved_selections (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    city_id TEXT,
+    postal_codes TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT
+  );
+
+  -- One row per billed DataForSEO call (see SPEND LEDGER)
+  CREATE TABLE IF NOT EXISTS spend (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    job_id TEXT,
+    campaign_name TEXT,
+    category TEXT,
+    area TEXT,
+    endpoint TEXT,
+    cost REAL NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS spend_at ON spend (at);
+  CREATE INDEX IF NOT EXISTS spend_job_id ON spend (job_id);
+
+  -- Small values: last update times, lead pool totals, migration record
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`);
+
+function getMeta(key, fallback = null) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : fallback;
+}
+
+function setMeta(key, value) {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, JSON.stringify(value));
+}
+
+// --- Business identity ---
+// Besides place id and phone, a business is recognized by its name + street address,
+// normalized so "Boulangerie St-Jean Inc." at "4521 Rue Saint-Denis, Montréal" and
+// "Boulangerie St Jean" at "4521 rue St-Denis" are the same place.
+
+const LEGAL_NAME_SUFFIXES = new Set(['inc', 'ltd', 'ltee', 'enr', 'llc', 'corp', 'senc']);
+const STREET_WORD_FORMS = { street: 'st', saint: 'st', sainte: 'ste', avenue: 'av', ave: 'av', boulevard: 'boul', blvd: 'boul', road: 'rd', chemin: 'ch', rue: '' };
+
+function identityWords(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function businessNameWords(lead) {
+  return identityWords(lead.name).filter(word => !LEGAL_NAME_SUFFIXES.has(word));
+}
+
+// Street part of the address (before the city), e.g. ['4521', 'st', 'denis']
+function streetWords(lead) {
+  return identityWords((lead.address || '').split(',')[0]).map(word => STREET_WORD_FORMS[word] ?? word).filter(Boolean);
+}
+
+// "boulangerie st jean|4521 st denis", or null without a name or a street number
+function nameAddressKey(lead) {
+  const name = businessNameWords(lead).join(' ');
+  const street = streetWords(lead).join(' ');
+  return name && /\d/.test(street) ? `${name}|${street}` : null;
+}
+
+// Databases created before leads had a name + address key
+if (!db.prepare('PRAGMA table_info(leads)').all().some(column => column.name === 'name_address')) {
+  db.exec('ALTER TABLE leads ADD COLUMN name_address TEXT');
+  const setKey = db.prepare('UPDATE leads SET name_address = ? WHERE id = ?');
+  db.transaction(() => {
+    db.prepare('SELECT id, data FROM leads').all().forEach(row => setKey.run(nameAddressKey(JSON.parse(row.data)), row.id));
+  })();
+}
+db.exec('CREATE INDEX IF NOT EXISTS leads_name_address ON leads (name_address)');
+
+// --- Leads ---
+
+const upsertLeadStatement = db.prepare(`
+  INSERT INTO leads (id, campaign_id, campaign_name, phone, place_id, status, area, website_type, has_email, imported_at, name_address, data)
+  VALUES (@id, @campaign_id, @campaign_name, @phone, @place_id, @status, @area, @website_type, @has_email, @imported_at, @name_address, @data)
+  ON CONFLICT(id) DO UPDATE SET
+    campaign_id = excluded.campaign_id, campaign_name = excluded.campaign_name, phone = excluded.phone,
+    place_id = excluded.place_id, status = excluded.status, area = excluded.area,
+    website_type = excluded.website_type, has_email = excluded.has_email,
+    imported_at = excluded.imported_at, name_address = excluded.name_address, data = excluded.data
+`);
+
+function leadRow(lead) {
+  return {
+    id: lead.id,
+    campaign_id: lead.campaignId || null,
+    campaign_name: lead.campaignName || null,
+    phone: normalizePhone(lead.phone),
+    place_id: lead.placeId || null,
+    status: lead.status || 'New',
+    area: lead.fsa || lead.searchArea || null,
+    website_type: leadWebsiteType(lead),
+    has_email: lead.email ? 1 : 0,
+    imported_at: lead.importedAt || null,
+    name_address: nameAddressKey(lead),
+    data: JSON.stringify(lead)
+  };
+}
+
+// Insert or update leads (matched by id) in one transaction
+const saveLeads = db.transaction(leads => {
+  leads.forEach(lead => upsertLeadStatement.run(leadRow(lead)));
+  setMeta('leadsUpdatedAt', new Date().toISOString());
+});
+
+function saveLead(lead) {
+  saveLeads([lead]);
+}
+
+// The saved lead that is the same business: same place id, else same phone, else
+// same name + street address. `matchedBy` says which.
+function findMatchingLead(lead) {
+  const lookups = [
+    ['placeId', 'place_id', lead.placeId],
+    ['phone', 'phone', normalizePhone(lead.phone)],
+    ['nameAddress', 'name_address', nameAddressKey(lead)]
+  ];
+  for (const [matchedBy, column, value] of lookups) {
+    if (!value) continue;
+    const row = db.prepare(`SELECT data FROM leads WHERE ${column} = ? ORDER BY rowid LIMIT 1`).get(value);
+    if (row) return { lead: JSON.parse(row.data), matchedBy };
+  }
+  return null;
+}
+
+function getLead(id) {
+  const row = db.prepare('SELECT data FROM leads WHERE id = ?').get(id);
+  return row ? JSON.parse(row.data) : null;
+}
+
+// WHERE clause for the lead filters the routes use:
+//   campaign (id or name), status, websiteType (comma separated), search (name, phone,
+//   address, category), hasEmail ('true', or 'false' = no email but a website),
+//   ids, placeIds, industry (category contains), neighborhood
+function leadFilterClause(filters = {}) {
+  const where = [];
+  const params = {};
+  const list = (name, values) => {
+    values.forEach((value, i) => { params[`${name}${i}`] = value; });
+    return values.map((_, i) => `@${name}${i}`).join(', ');
+  };
+  
+  if (filters.campaign) {
+    where.push('(campaign_id = @campaign OR campaign_name = @campaign)');
+    params.campaign = filters.campaign;
+  }
+  if (filters.status) {
+    where.push('status = @status');
+    params.status = filters.status;
+  }
+  if (filters.websiteType) {
+    where.push(`website_type IN (${list('type', String(filters.websiteType).split(','))})`);
+  }
+  if (filters.search) {
+    where.push(`(${['name', 'phone', 'address', 'category'].map(field => `json_extract(data, '$.${field}') LIKE @search`).join(' OR ')})`);
+    params.search = `%${filters.search}%`;
+  }
+  if (filters.hasEmail === 'true') {
+    where.push('has_email = 1');
+  } else if (filters.hasEmail === 'false') {
+    where.push(`has_email = 0 AND COALESCE(json_extract(data, '$.website'), '') != ''`);
+  }
+  if (filters.ids) {
+    where.push(`id IN (${list('id', filters.ids)})`);
+  }
+  if (filters.placeIds) {
+    where.push(`place_id IN (${list('place', filters.placeIds)})`);
+  }
+  if (filters.industry) {
+    where.push(`LOWER(COALESCE(NULLIF(json_extract(data, '$.category'), ''), json_extract(data, '$.searchCategory'), '')) LIKE @industry`);
+    params.industry = `%${String(filters.industry).toLowerCase()}%`;
+  }
+  if (filters.neighborhood) {
+    where.push(`json_extract(data, '$.neighborhood') = @neighborhood`);
+    params.neighborhood = filters.neighborhood;
+  }
+  return { where: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', params };
+}
 
-function loadLocalLeads() {
-  if (existsSync(LOCAL_LEADS_PATH)) {
-    return JSON.parse(readFileSync(LOCAL_LEADS_PATH, 'utf-8'));
+// Leads matching the filters, in import order unless newestFirst
+function findLeads(filters = {}, { limit = null, newestFirst = false } = {}) {
+  const { where, params } = leadFilterClause(filters);
+  const order = newestFirst ? 'ORDER BY imported_at DESC' : 'ORDER BY rowid';
+  const rows = db.prepare(`SELECT data FROM leads ${where} ${order}${limit ? ' LIMIT @limit' : ''}`)
+    .all(limit ? { ...params, limit } : params);
+  return rows.map(row => JSON.parse(row.data));
+}
+
+function countLeads(filters = {}) {
+  const { where, params } = leadFilterClause(filters);
+  return db.prepare(`SELECT COUNT(*) AS count FROM leads ${where}`).get(params).count;
+}
+
+// --- Campaigns ---
+
+function loadCampaigns() {
+  return db.prepare('SELECT data FROM campaigns ORDER BY created_at, rowid').all().map(row => JSON.parse(row.data));
+}
+
+function findCampaign(idOrName) {
+  const row = db.prepare('SELECT data FROM campaigns WHERE id = @key OR name = @key ORDER BY rowid LIMIT 1').get({ key: idOrName });
+  return row ? JSON.parse(row.data) : null;
+}
+
+function saveCampaign(campaign) {
+  db.prepare(`
+    INSERT INTO campaigns (id, name, created_at, data) VALUES (@id, @name, @createdAt, @data)
+    ON CONFLICT(id) DO UPDATE SET name = excluded.name, created_at = excluded.created_at, data = excluded.data
+  `).run({ id: campaign.id, name: campaign.name, createdAt: campaign.createdAt || null, data: JSON.stringify(campaign) });
+}
+
+function deleteLeads(ids) {
+  const remove = db.prepare('DELETE FROM leads WHERE id = ?');
+  db.transaction(() => {
+    ids.forEach(id => remove.run(id));
+    setMeta('leadsUpdatedAt', new Date().toISOString());
+  })();
+}
+
+// A campaign and all of its leads
+const deleteCampaign = db.transaction(id => {
+  db.prepare('DELETE FROM leads WHERE campaign_id = ?').run(id);
+  db.prepare('DELETE FROM campaigns WHERE id = ?').run(id);
+  setMeta('leadsUpdatedAt', new Date().toISOString());
+});
+
+// --- DNC list ---
+
+function dncEntry(phone) {
+  const row = db.prepare('SELECT * FROM dnc WHERE phone = ?').get(normalizePhone(phone));
+  return row ? { originalPhone: row.original_phone, reason: row.reason, source: row.source, addedAt: row.added_at } : null;
+}
+
+function addToDNC(phone, reason, source) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return false;
+  db.prepare(`
+    INSERT INTO dnc (phone, original_phone, reason, source, added_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(phone) DO UPDATE SET original_phone = excluded.original_phone, reason = excluded.reason, source = excluded.source, added_at = excluded.added_at
+  `).run(normalized, phone, reason, source, new Date().toISOString());
+  setMeta('dncUpdatedAt', new Date().toISOString());
+  return true;
+}
+
+function removeFromDNC(phone) {
+  const removed = db.prepare('DELETE FROM dnc WHERE phone = ?').run(normalizePhone(phone)).changes > 0;
+  if (removed) setMeta('dncUpdatedAt', new Date().toISOString());
+  return removed;
+}
+
+function dncCount() {
+  return db.prepare('SELECT COUNT(*) AS count FROM dnc').get().count;
+}
+
+// Entries in insertion order; all of them without a limit
+function listDNC(limit = null) {
+  return db.prepare(`SELECT * FROM dnc ORDER BY rowid${limit ? ' LIMIT ?' : ''}`).all(...(limit ? [limit] : []))
+    .map(row => ({ phone: row.phone, originalPhone: row.original_phone, reason: row.reason, source: row.source, addedAt: row.added_at }));
+}
+
+// --- Lead pool (phones already handed out, to avoid importing them twice) ---
+
+const LEAD_POOL_TOTALS = { lastScrape: null, totalScraped: 0, totalImported: 0, totalDuplicates: 0 };
+
+function leadPoolEntry(phone) {
+  const row = db.prepare('SELECT * FROM lead_pool WHERE phone = ?').get(normalizePhone(phone));
+  return row ? { leadId: row.lead_id, campaign: row.campaign, firstSeenAt: row.first_seen_at } : null;
+}
+
+// Track leads' phones for a campaign; returns how many phones were new
+const trackLeadPoolPhones = db.transaction((leads, campaign) => {
+  const insert = db.prepare('INSERT OR IGNORE INTO lead_pool (phone, lead_id, campaign, first_seen_at) VALUES (?, ?, ?, ?)');
+  const now = new Date().toISOString();
+  let tracked = 0;
+  leads.forEach(lead => {
+    const normalized = normalizePhone(lead.phone);
+    if (normalized) tracked += insert.run(normalized, lead.id || null, campaign || null, now).changes;
+  });
+  
+  const totals = getMeta('leadPool', LEAD_POOL_TOTALS);
+  setMeta('leadPool', { ...totals, totalImported: totals.totalImported + tracked, lastScrape: now });
+  return tracked;
+});
+
+function leadPoolStats() {
+  return {
+    ...getMeta('leadPool', LEAD_POOL_TOTALS),
+    uniquePhones: db.prepare('SELECT COUNT(*) AS count FROM lead_pool').get().count
+  };
+}
+
+// --- Scrape progress (postal code coverage and saved selections) ---
+// Small enough to load and save whole, in the shape of the old scrape-progress.json
+
+function loadScrapeProgress() {
+  const postalCodes = {};
+  db.prepare('SELECT * FROM postal_code_progress').all().forEach(row => {
+    postalCodes[row.code] = { status: row.status, leadsCount: row.leads_count, lastScraped: row.last_scraped, campaigns: JSON.parse(row.campaigns) };
+  });
+  const savedSelections = db.prepare('SELECT * FROM saved_selections ORDER BY rowid').all().map(row => ({
+    id: row.id,
+    name: row.name,
+    cityId: row.city_id,
+    postalCodes: JSON.parse(row.postal_codes),
+    createdAt: row.created_at
+  }));
+  return {
+    postalCodes, // { "H1A": { status: "complete", leadsCount: 50, lastScraped: "...", campaigns: [] } }
+    savedSelections // [{ id, name, cityId, postalCodes: [...] }]
+  };
+}
+
+const saveScrapeProgress = db.transaction(data => {
+  const upsertCode = db.prepare(`
+    INSERT INTO postal_code_progress (code, status, leads_count, last_scraped, campaigns) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(code) DO UPDATE SET status = excluded.status, leads_count = excluded.leads_count, last_scraped = excluded.last_scraped, campaigns = excluded.campaigns
+  `);
+  Object.entries(data.postalCodes || {}).forEach(([code, pc]) => {
+    upsertCode.run(code, pc.status || null, pc.leadsCount || 0, pc.lastScraped || null, JSON.stringify(pc.campaigns || []));
+  });
+  
+  db.prepare('DELETE FROM saved_selections').run();
+  const insertSelection = db.prepare('INSERT INTO saved_selections (id, name, city_id, postal_codes, created_at) VALUES (?, ?, ?, ?, ?)');
+  (data.savedSelections || []).forEach(sel => {
+    insertSelection.run(sel.id, sel.name || null, sel.cityId || null, JSON.stringify(sel.postalCodes || []), sel.createdAt || null);
+  });
+});
+
+// --- One-time import of the JSON stores ---
+
+
+// Runs once per database; the JSON files are kept as they were (they are no longer read)
+function migrateJsonStores() {
+  if (getMeta('migratedAt')) return;
+  
+  const localLeads = readJsonFile(LOCAL_LEADS_PATH);
+  const dnc = readJsonFile(DNC_PATH);
+  const pool = readJsonFile(LEADS_POOL_PATH);
+  const progress = readJsonFile(SCRAPE_PROGRESS_PATH);
+  const counts = { leads: 0, campaigns: 0, dnc: 0, leadPool: 0, postalCodes: 0, selections: 0 };
+  
+  db.transaction(() => {
+    if (localLeads) {
+      (localLeads.campaigns || []).forEach(saveCampaign);
+      saveLeads((localLeads.leads || []).map(lead => ({
+        ...lead,
+        id: lead.id || Date.now().toString() + Math.random().toString(36).substr(2, 9)
+      })));
+      if (localLeads.lastUpdated) setMeta('leadsUpdatedAt', localLeads.lastUpdated);
+      counts.leads = (localLeads.leads || []).length;
+      counts.campaigns = (localLeads.campaigns || []).length;
+    }
+    if (dnc) {
+      const insert = db.prepare('INSERT OR REPLACE INTO dnc (phone, original_phone, reason, source, added_at) VALUES (?, ?, ?, ?, ?)');
+      Object.entries(dnc.phones || {}).forEach(([phone, info]) => {
+        insert.run(phone, info.originalPhone || phone, info.reason || null, info.source || null, info.addedAt || null);
+      });
+      if (dnc.lastUpdated) setMeta('dncUpdatedAt', dnc.lastUpdated);
+      counts.dnc = Object.keys(dnc.phones || {}).length;
+    }
+    if (pool) {
+      const insert = db.prepare('INSERT OR REPLACE INTO lead_pool (phone, lead_id, campaign, first_seen_at) VALUES (?, ?, ?, ?)');
+      Object.entries(pool.phones || {}).forEach(([phone, info]) => {
+        insert.run(phone, info.leadId || null, info.campaign || null, info.firstSeenAt || null);
+      });
+      const { phones, ...totals } = pool;
+      setMeta('leadPool', { ...LEAD_POOL_TOTALS, ...totals });
+      counts.leadPool = Object.keys(phones || {}).length;
+    }
+    if (progress) {
+      saveScrapeProgress(progress);
+      counts.postalCodes = Object.keys(progress.postalCodes || {}).length;
+      counts.selections = (progress.savedSelections || []).length;
+    }
+    setMeta('migratedAt', new Date().toISOString());
+  })();
+  
+  if (localLeads || dnc || pool || progress) {
+    logEvent('success', 'storage', `Imported the JSON stores into ${LEADS_DB_PATH}: ${counts.leads} leads, ${counts.campaigns} campaigns, ${counts.dnc} DNC numbers, ${counts.leadPool} pool phones, ${counts.postalCodes} postal codes`, counts);
   }
-  return { leads: [], campaigns: [], lastUpdated: null };
 }
 
-function saveLocalLeads(data) {
-  data.lastUpdated = new Date().toISOString();
-  writeFileSync(LOCAL_LEADS_PATH, JSON.stringify(data, null, 2));
+// ============== WEBSITE CLASSIFIER ==============
+// Many good prospects only list a Facebook page, a Linktree or a free builder page.
+// A website is classified as one of:
+//   none        - nothing listed
+//   social      - social profile or link-in-bio page (facebook.com, instagram.com, linktr.ee...)
+//   placeholder - free builder / auto-generated page (business.site, wixsite.com...)
+//   directory   - listing on a directory (yelp.ca, pagesjaunes.ca...)
+//   real        - anything else
+// The domain lists and which kinds count as "no real website" are in config.websiteClassifier.
+
+const WEBSITE_TYPES = ['none', 'social', 'placeholder', 'directory', 'real'];
+
+function websiteHost(website) {
+  try {
+    const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(website) ? website : `http://${website}`;
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
 }
 
-function addLeadsToLocal(leads, campaignName, cityName, postalCodes) {
-  const data = loadLocalLeads();
+function classifyWebsite(website) {
+  const value = (website || '').trim();
+  if (!value) return 'none';
   
-  // ✨ FILTER: Only keep businesses with NO website
-  const leadsWithoutWebsite = leads.filter(lead => !lead.website || lead.website.trim() === '');
+  const host = websiteHost(value);
+  if (!host) return 'real';
+  const matches = domains => (domains || []).some(domain => host === domain || host.endsWith(`.${domain}`));
   
-  logEvent('info', 'filter', `NO WEBSITE Filter: ${leads.length} total → ${leadsWithoutWebsite.length} without websites (filtered ${leads.length - leadsWithoutWebsite.length} with websites)`);
+  const { socialDomains, placeholderDomains, directoryDomains } = config.websiteClassifier;
+  if (matches(socialDomains)) return 'social';
+  if (matches(placeholderDomains)) return 'placeholder';
+  if (matches(directoryDomains)) return 'directory';
+  return 'real';
+}
+
+// Stored on leads since this classifier exists; older leads are classified on the fly
+function leadWebsiteType(lead) {
+  return lead.websiteType || classifyWebsite(lead.website);
+}
+
+// The NO WEBSITE filter: kept unless the lead has a real website (by default social-only,
+// placeholder and directory websites are kept, tagged through websiteType)
+function lacksWebsite(lead) {
+  return config.websiteClassifier.noRealWebsite.includes(classifyWebsite(lead.website));
+}
+
+// ============== LOCAL LEADS STORAGE ==============
+// Store leads locally so they're NEVER lost, even if Airtable fails
+
+// A business is stored once across all campaigns. An incoming lead that matches a saved
+// one (see findMatchingLead) is merged into it: the saved record keeps its campaign,
+// status and notes, gains the fields it was missing, and its `provenance` lists every
+// campaign / category / area / job that found the business.
+
+// Fields that belong to the saved record and are never taken from a new sighting
+const LEAD_RECORD_FIELDS = ['id', 'campaignId', 'campaignName', 'status', 'notes', 'importedAt', 'updatedAt', 'provenance', 'mergedFrom'];
+
+const isEmptyField = value => value === undefined || value === null || value === '';
+
+// Leads saved before provenance existed get their original sighting
+function leadProvenance(lead) {
+  return lead.provenance || [{
+    campaignId: lead.campaignId || null,
+    campaignName: lead.campaignName || null,
+    category: lead.searchCategory || lead.category || null,
+    area: lead.searchArea || lead.fsa || null,
+    jobId: null,
+    foundAt: lead.importedAt || null
+  }];
+}
+
+function mergeLeadSighting(saved, lead, sighting) {
+  Object.entries(lead).forEach(([field, value]) => {
+    if (!LEAD_RECORD_FIELDS.includes(field) && isEmptyField(saved[field]) && !isEmptyField(value)) saved[field] = value;
+  });
+  if (lead.searchLanguages) {
+    saved.searchLanguages = [...new Set([...(saved.searchLanguages || []), ...lead.searchLanguages])];
+  }
+  saved.websiteType = classifyWebsite(saved.website);
   
-  if (leadsWithoutWebsite.length === 0) {
-    logEvent('warning', 'storage', `No businesses without websites found in this batch for campaign: ${campaignName} (all ${leads.length} had websites)`);
-    return 0;
+  // Reprocessing a job adds nothing new to the list
+  saved.provenance = leadProvenance(saved);
+  const known = saved.provenance.some(p => p.campaignId === sighting.campaignId && p.category === sighting.category && p.area === sighting.area && p.jobId === sighting.jobId);
+  if (!known) saved.provenance.push(sighting);
+  saved.lastSeenAt = sighting.foundAt;
+}
+
+// Save leads that passed the campaign's targeting rules (see applyTargeting).
+// `targeting` replaces the campaign's saved rule set (only passed when the job was sent one).
+// Returns { added, merged, matchedBy: { placeId, phone, nameAddress }, addedByCode: { H2T: 3 } }
+// (addedByCode counts the new businesses by the postal code in their address)
+function addLeadsToLocal(leads, campaignName, cityName, postalCodes, targeting = null, jobId = null) {
+  const result = { added: 0, merged: 0, matchedBy: { placeId: 0, phone: 0, nameAddress: 0 }, addedByCode: {} };
+  if (leads.length === 0) {
+    logEvent('warning', 'storage', `No businesses matched the targeting rules for campaign: ${campaignName}`);
+    return result;
   }
   
   // Add campaign if new
-  let campaign = data.campaigns.find(c => c.name === campaignName);
+  let campaign = findCampaign(campaignName);
   if (!campaign) {
     campaign = {
       id: Date.now().toString(),
@@ -75,26 +690,52 @@ function addLeadsToLocal(leads, campaignName, cityName, postalCodes) {
       createdAt: new Date().toISOString(),
       leadsCount: 0
     };
-    data.campaigns.push(campaign);
   }
+  if (targeting) campaign.targeting = targeting;
+  
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    // One lead at a time, so two leads of the same batch also merge
+    leads.forEach(lead => {
+      const sighting = {
+        campaignId: campaign.id,
+        campaignName,
+        category: lead.searchCategory || lead.category || null,
+        area: lead.searchArea || lead.fsa || null,
+        jobId,
+        foundAt: now
+      };
+      
+      const match = findMatchingLead(lead);
+      if (match) {
+        mergeLeadSighting(match.lead, lead, sighting);
+        saveLead(match.lead);
+        result.merged++;
+        result.matchedBy[match.matchedBy]++;
+        return;
+      }
+      
+      // New business, with campaign reference
+      saveLead({
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+        ...lead,
+        websiteType: classifyWebsite(lead.website),
+        campaignId: campaign.id,
+        campaignName: campaignName,
+        importedAt: now,
+        status: 'New',
+        provenance: [sighting]
+      });
+      result.added++;
+      if (lead.fsa) result.addedByCode[lead.fsa] = (result.addedByCode[lead.fsa] || 0) + 1;
+    });
+    
+    campaign.leadsCount += result.added;
+    saveCampaign(campaign);
+  })();
+  logEvent('success', 'storage', `Saved ${result.added} new businesses locally for campaign: ${campaignName} (${result.merged} already known - merged)`, result);
   
-  // Add leads with campaign reference
-  const newLeads = leadsWithoutWebsite.map(lead => ({
-    id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-    ...lead,
-    campaignId: campaign.id,
-    campaignName: campaignName,
-    importedAt: new Date().toISOString(),
-    status: 'New'
-  }));
-  
-  data.leads.push(...newLeads);
-  campaign.leadsCount += newLeads.length;
-  
-  saveLocalLeads(data);
-  logEvent('success', 'storage', `Saved ${newLeads.length} businesses WITHOUT websites locally for campaign: ${campaignName} (filtered ${leads.length - leadsWithoutWebsite.length} with websites)`);
-  
-  return newLeads.length;
+  return result;
 }
 
 // ============== AUTOMATION LOGGING SYSTEM ==============
@@ -112,25 +753,23 @@ const automationLogs = {
 
 // Load existing logs
 function loadLogs() {
-  if (existsSync(LOGS_PATH)) {
-    try {
-      const saved = JSON.parse(readFileSync(LOGS_PATH, 'utf-8'));
-      automationLogs.events = saved.events || [];
-      automationLogs.errors = saved.errors || [];
-      automationLogs.jobs = saved.jobs || [];
-    } catch (e) {
-      console.error('Error loading logs:', e.message);
-    }
+  try {
+    const saved = readJsonFile(LOGS_PATH, () => ({}));
+    automationLogs.events = saved.events || [];
+    automationLogs.errors = saved.errors || [];
+    automationLogs.jobs = saved.jobs || [];
+  } catch (e) {
+    console.error('Error loading logs:', e.message);
   }
 }
 
 function saveLogs() {
   try {
-    writeFileSync(LOGS_PATH, JSON.stringify({
+    writeJsonFile(LOGS_PATH, {
       events: automationLogs.events.slice(-500), // Keep last 500 events
       errors: automationLogs.errors.slice(-200), // Keep last 200 errors
       jobs: automationLogs.jobs.slice(-100) // Keep last 100 jobs
-    }, null, 2));
+    }, { backup: false });
   } catch (e) {
     console.error('Error saving logs:', e.message);
   }
@@ -158,10 +797,13 @@ function logEvent(type, node, message, data = {}) {
   }
   
   saveLogs();
+  publishLive('log', event, { jobId: data?.jobId || null, node });
   return event;
 }
 
+// Called again whenever a job changes state (paused, cancelled, completed) - keeps one entry per job
 function logJob(job) {
+  automationLogs.jobs = automationLogs.jobs.filter(j => j.id !== job.id);
   automationLogs.jobs.unshift({
     id: job.id,
     status: job.status,
@@ -170,11 +812,14 @@ function logJob(job) {
     neighborhoodCount: job.neighborhoods?.length || 0,
     leadsFound: job.leads?.length || 0,
     errorsCount: job.errors?.length || 0,
+    outOfArea: job.geofenceSummary?.outside || 0,
+    cost: job.cost || 0,
+    leadsKept: job.status === 'cancelled' ? !!job.keepLeadsOnCancel : undefined,
     startTime: job.startTime,
     endTime: job.endTime,
     duration: job.endTime ? 
       Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000) + 's' : 
-      'running'
+      job.status
   });
   if (automationLogs.jobs.length > 100) {
     automationLogs.jobs = automationLogs.jobs.slice(0, 100);
@@ -182,6 +827,29 @@ function logJob(job) {
   saveLogs();
 }
 
+// ============== LIVE EVENTS (Server-Sent Events) ==============
+// Open /api/events/stream connections, each optionally narrowed to one job id and/or
+// a list of nodes. Event names: 'log' (every logEvent), 'scrape-job' and 'email-job'
+// (the same payload as the status routes), 'segment' (one finished area x category).
+const liveStreams = new Set();
+let liveEventSeq = 0;
+
+// Events that are not about a job (rate limiter, schedules...) only reach unfiltered streams
+function publishLive(name, payload, { jobId = null, node = null } = {}) {
+  if (liveStreams.size === 0) return;
+  const message = `id: ${++liveEventSeq}\nevent: ${name}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const stream of liveStreams) {
+    if (stream.jobId && stream.jobId !== jobId) continue;
+    if (stream.nodes && !stream.nodes.includes(node)) continue;
+    stream.res.write(message);
+  }
+}
+
+function publishScrapeJob(job) {
+  if (liveStreams.size === 0 || String(job.id).startsWith('preview-')) return;
+  publishLive('scrape-job', scrapeJobStatus(job), { jobId: job.id, node: 'scraper' });
+}
+
 // Load logs on startup
 loadLogs();
 logEvent('info', 'system', 'Server started', { port: PORT });
@@ -204,20 +872,94 @@ const DEFAULT_CONFIG = {
     locationCode: '2124', // Canada
     languageCode: 'en',
     minRating: 3.5,
-    limitPerNeighborhood: 50
+    limitPerNeighborhood: 50, // Qualifying leads wanted per area (job.limit)
+    searchDepth: 700, // Google Maps results requested per area & category
+    startDepth: 100 // First depth of a live search, searched again at searchDepth while its area is short of leads
+  },
+  // DataForSEO pricing used for estimates (actual spend comes from the API's "cost" field)
+  pricing: {
+    mapsLivePerPage: 0.002, // USD per billed page of Maps live results
+    mapsTaskPerPage: 0.0006, // USD per billed page via task_post (standard queue)
+    mapsResultsPerPage: 100,
+    localFinderPerPage: 0.002, // USD per billed page of Local Finder results
+    localFinderResultsPerPage: 20,
+    businessListingsPerTask: 0.01, // Business Listings search: per request...
+    businessListingsPerResult: 0.0003 // ...plus per returned listing
+  },
+  // Coordinate grid sweep (searchMode: 'grid') - areas use the lat/lng in montreal-areas.json
+  grid: {
+    spacingKm: 1, // Distance between tile centers
+    areaRadiusKm: 1.5, // Radius covered around a postal code center (unless it sets radiusKm)
+    zoom: 15, // Google Maps zoom of each tile (3-21)
+    depthPerTile: 100
+  },
+  // Leads outside the selected postal codes: 'drop', 'tag' (keep with outOfArea: true) or 'off'
+  geofence: {
+    mode: 'drop',
+    marginKm: 0.5 // Tolerance around an area radius when only coordinates are known
+  },
+  // See WEBSITE CLASSIFIER. A domain also matches its subdomains (fr-ca.facebook.com)
+  websiteClassifier: {
+    noRealWebsite: ['none', 'social', 'placeholder', 'directory'],
+    socialDomains: ['facebook.com', 'fb.com', 'fb.me', 'instagram.com', 'linktr.ee', 'linkin.bio', 'beacons.ai', 'twitter.com', 'x.com', 'tiktok.com', 'linkedin.com', 'youtube.com', 'pinterest.com'],
+    placeholderDomains: ['business.site', 'sites.google.com', 'wixsite.com', 'weebly.com', 'godaddysites.com', 'square.site', 'carrd.co', 'webnode.page', 'jimdosite.com', 'mystrikingly.com', 'blogspot.com', 'wordpress.com', 'canva.site'],
+    directoryDomains: ['yelp.com', 'yelp.ca', 'pagesjaunes.ca', 'yellowpages.ca', 'canpages.ca', '411.ca', 'tripadvisor.com', 'tripadvisor.ca', 'foursquare.com', 'houzz.com', 'homestars.com', 'opentable.com', 'opentable.ca', 'ubereats.com', 'doordash.com', 'order.online', 'booksy.com', 'fresha.com', 'google.com', 'goo.gl', 'g.page']
+  },
+  // Asynchronous task_post / tasks_ready mode (fetchMode: 'task')
+  taskMode: {
+    pollIntervalMs: 60000, // How often tasks_ready is checked
+    postbackBaseUrl: '' // Public base URL (e.g. https://brio.up.railway.app) to receive results by postback
+  },
+  // Broad jobs started with prioritizeByYield skip categories whose history (at least
+  // minSearches searches) averages fewer than minLeadsPerSearch kept leads per search
+  yield: {
+    minLeadsPerSearch: 0.5,
+    minSearches: 3
+  },
+  // Keep every paid search result (gzipped, per job) so leads can be rebuilt later
+  rawArchive: {
+    enabled: true
+  },
+  // Files in data/jobs of finished jobs are deleted this many days after they ended (0 = keep forever)
+  jobs: {
+    retentionDays: 90
+  },
+  // 0 = no cap
+  budget: {
+    maxCostPerJob: 0,
+    maxMonthlyCost: 0
+  },
+  // Shared DataForSEO request scheduler (applies across all running jobs)
+  scheduler: {
+    concurrency: 2, // Max simultaneous DataForSEO requests
+    minIntervalMs: 500, // Min gap between two request starts
+    maxRetries: 4,
+    baseDelayMs: 1000, // Backoff: 1s, 2s, 4s, 8s... (+ jitter)
+    maxDelayMs: 30000
   }
 };
 
 // Load or create config
 function loadConfig() {
   let currentConfig = DEFAULT_CONFIG;
-  if (existsSync(CONFIG_PATH)) {
+  const saved = readJsonFile(CONFIG_PATH);
+  if (saved) {
     try {
-      const saved = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
       // Merge saved with default to ensure new users are always added
       currentConfig = {
         ...DEFAULT_CONFIG,
         ...saved,
+        defaults: { ...DEFAULT_CONFIG.defaults, ...saved.defaults },
+        pricing: { ...DEFAULT_CONFIG.pricing, ...saved.pricing },
+        budget: { ...DEFAULT_CONFIG.budget, ...saved.budget },
+        scheduler: { ...DEFAULT_CONFIG.scheduler, ...saved.scheduler },
+        taskMode: { ...DEFAULT_CONFIG.taskMode, ...saved.taskMode },
+        grid: { ...DEFAULT_CONFIG.grid, ...saved.grid },
+        geofence: { ...DEFAULT_CONFIG.geofence, ...saved.geofence },
+        yield: { ...DEFAULT_CONFIG.yield, ...saved.yield },
+        rawArchive: { ...DEFAULT_CONFIG.rawArchive, ...saved.rawArchive },
+        jobs: { ...DEFAULT_CONFIG.jobs, ...saved.jobs },
+        websiteClassifier: { ...DEFAULT_CONFIG.websiteClassifier, ...saved.websiteClassifier },
         users: [...DEFAULT_CONFIG.users] // Always enforce the users from DEFAULT_CONFIG
       };
       
@@ -246,32 +988,34 @@ function loadConfig() {
 }
 
 function saveConfig(config) {
-  writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+  writeJsonFile(CONFIG_PATH, config);
 }
 
 // Load or create neighborhoods
-function loadNeighborhoods() {
-  if (existsSync(NEIGHBORHOODS_PATH)) {
-    return JSON.parse(readFileSync(NEIGHBORHOODS_PATH, 'utf-8'));
-  }
-  const defaultNeighborhoods = {
+function defaultNeighborhoods() {
+  return {
     city: 'Montreal',
     state: 'QC',
     country: 'Canada',
     neighborhoods: []
   };
-  saveNeighborhoods(defaultNeighborhoods);
-  return defaultNeighborhoods;
+}
+
+function loadNeighborhoods() {
+  const data = readJsonFile(NEIGHBORHOODS_PATH);
+  if (data) return data;
+  saveNeighborhoods(defaultNeighborhoods());
+  return defaultNeighborhoods();
 }
 
 function saveNeighborhoods(data) {
-  writeFileSync(NEIGHBORHOODS_PATH, JSON.stringify(data, null, 2));
+  writeJsonFile(NEIGHBORHOODS_PATH, data);
 }
 
 let config = loadConfig();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '50mb' })); // DataForSEO postbacks carry full result sets
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(join(__dirname, 'public')));
 // Session disabled (auth removed - not needed)
@@ -318,6 +1062,76 @@ app.post('/api/config/defaults', requireAuth, (req, res) => {
   res.json({ success: true });
 });
 
+app.post('/api/config/budget', requireAuth, (req, res) => {
+  const { maxCostPerJob, maxMonthlyCost, mapsLivePerPage, mapsTaskPerPage, mapsResultsPerPage, localFinderPerPage, businessListingsPerTask, businessListingsPerResult } = req.body;
+  if (maxCostPerJob !== undefined) config.budget.maxCostPerJob = parseFloat(maxCostPerJob) || 0;
+  if (maxMonthlyCost !== undefined) config.budget.maxMonthlyCost = parseFloat(maxMonthlyCost) || 0;
+  if (mapsLivePerPage !== undefined) config.pricing.mapsLivePerPage = parseFloat(mapsLivePerPage) || 0;
+  if (mapsTaskPerPage !== undefined) config.pricing.mapsTaskPerPage = parseFloat(mapsTaskPerPage) || 0;
+  if (mapsResultsPerPage !== undefined) config.pricing.mapsResultsPerPage = parseInt(mapsResultsPerPage) || 100;
+  if (localFinderPerPage !== undefined) config.pricing.localFinderPerPage = parseFloat(localFinderPerPage) || 0;
+  if (businessListingsPerTask !== undefined) config.pricing.businessListingsPerTask = parseFloat(businessListingsPerTask) || 0;
+  if (businessListingsPerResult !== undefined) config.pricing.businessListingsPerResult = parseFloat(businessListingsPerResult) || 0;
+  saveConfig(config);
+  res.json({ success: true, budget: config.budget, pricing: config.pricing });
+});
+
+app.post('/api/config/scheduler', requireAuth, (req, res) => {
+  const { concurrency, minIntervalMs, maxRetries, baseDelayMs, maxDelayMs } = req.body;
+  if (concurrency !== undefined) config.scheduler.concurrency = Math.max(1, parseInt(concurrency) || 1);
+  if (minIntervalMs !== undefined) config.scheduler.minIntervalMs = Math.max(0, parseInt(minIntervalMs) || 0);
+  if (maxRetries !== undefined) config.scheduler.maxRetries = Math.max(0, parseInt(maxRetries) || 0);
+  if (baseDelayMs !== undefined) config.scheduler.baseDelayMs = Math.max(100, parseInt(baseDelayMs) || 1000);
+  if (maxDelayMs !== undefined) config.scheduler.maxDelayMs = Math.max(1000, parseInt(maxDelayMs) || 30000);
+  saveConfig(config);
+  dataforseoScheduler.configure(config.scheduler);
+  res.json({ success: true, scheduler: config.scheduler });
+});
+
+app.post('/api/config/task-mode', requireAuth, (req, res) => {
+  const { pollIntervalMs, postbackBaseUrl } = req.body;
+  if (pollIntervalMs !== undefined) config.taskMode.pollIntervalMs = Math.max(5000, parseInt(pollIntervalMs) || 60000);
+  if (postbackBaseUrl !== undefined) config.taskMode.postbackBaseUrl = (postbackBaseUrl || '').replace(/\/+$/, '');
+  saveConfig(config);
+  res.json({ success: true, taskMode: config.taskMode });
+});
+
+app.post('/api/config/yield', requireAuth, (req, res) => {
+  const { minLeadsPerSearch, minSearches } = req.body;
+  if (minLeadsPerSearch !== undefined) config.yield.minLeadsPerSearch = Math.max(0, parseFloat(minLeadsPerSearch) || 0);
+  if (minSearches !== undefined) config.yield.minSearches = Math.max(1, parseInt(minSearches) || 1);
+  saveConfig(config);
+  res.json({ success: true, yield: config.yield });
+});
+
+// Replace any of the domain lists, or which kinds count as "no real website"
+app.post('/api/config/website-classifier', requireAuth, (req, res) => {
+  const { noRealWebsite, socialDomains, placeholderDomains, directoryDomains } = req.body;
+  const domainList = list => list.map(d => String(d).trim().toLowerCase().replace(/^www\./, '')).filter(Boolean);
+  
+  if (noRealWebsite !== undefined) {
+    const kinds = Array.isArray(noRealWebsite) ? noRealWebsite : [];
+    const unknown = kinds.filter(kind => !WEBSITE_TYPES.includes(kind) || kind === 'real');
+    if (unknown.length > 0 || !kinds.includes('none')) {
+      return res.status(400).json({ error: `noRealWebsite must include "none" and only use: ${WEBSITE_TYPES.filter(t => t !== 'real').join(', ')}` });
+    }
+    config.websiteClassifier.noRealWebsite = kinds;
+  }
+  if (Array.isArray(socialDomains)) config.websiteClassifier.socialDomains = domainList(socialDomains);
+  if (Array.isArray(placeholderDomains)) config.websiteClassifier.placeholderDomains = domainList(placeholderDomains);
+  if (Array.isArray(directoryDomains)) config.websiteClassifier.directoryDomains = domainList(directoryDomains);
+  
+  saveConfig(config);
+  res.json({ success: true, websiteClassifier: config.websiteClassifier });
+});
+
+app.post('/api/config/raw-archive', requireAuth, (req, res) => {
+  const { enabled } = req.body;
+  if (enabled !== undefined) config.rawArchive.enabled = !!enabled;
+  saveConfig(config);
+  res.json({ success: true, rawArchive: config.rawArchive });
+});
+
 // ============== LOCATION MANAGEMENT (Greater Montreal Area) ==============
 
 // Load Montreal areas database
@@ -328,21 +1142,6 @@ function loadMontrealAreas() {
   return { region: 'Greater Montreal Area', cities: [] };
 }
 
-// Load/save scrape progress
-function loadScrapeProgress() {
-  if (existsSync(SCRAPE_PROGRESS_PATH)) {
-    return JSON.parse(readFileSync(SCRAPE_PROGRESS_PATH, 'utf-8'));
-  }
-  return { 
-    postalCodes: {}, // { "H1A": { status: "complete", leadsCount: 50, lastScraped: "...", campaigns: [] } }
-    savedSelections: [] // [{ id, name, cityId, postalCodes: [...] }]
-  };
-}
-
-function saveScrapeProgress(data) {
-  writeFileSync(SCRAPE_PROGRESS_PATH, JSON.stringify(data, null, 2));
-}
-
 // Get all cities
 app.get('/api/locations/cities', requireAuth, (req, res) => {
   const areas = loadMontrealAreas();
@@ -356,10 +1155,9 @@ app.get('/api/locations/cities', requireAuth, (req, res) => {
     
     city.postalCodes.forEach(pc => {
       const pcProgress = progress.postalCodes[pc.code];
-      if (pcProgress && pcProgress.status === 'complete') {
-        scrapedCount++;
-        totalLeads += pcProgress.leadsCount || 0;
-      }
+      if (pcProgress && pcProgress.status === 'complete') scrapedCount++;
+      // Leads are credited to the code in their address, searched or not
+      totalLeads += pcProgress?.leadsCount || 0;
     });
     
     return {
@@ -472,6 +1270,7 @@ app.get('/api/locations/progress', requireAuth, (req, res) => {
   let totalPostalCodes = 0;
   let scrapedPostalCodes = 0;
   let partialPostalCodes = 0;
+  let failedPostalCodes = 0;
   let totalLeads = 0;
   
   areas.cities.forEach(city => {
@@ -481,6 +1280,7 @@ app.get('/api/locations/progress', requireAuth, (req, res) => {
       if (pcProgress) {
         if (pcProgress.status === 'complete') scrapedPostalCodes++;
         else if (pcProgress.status === 'partial') partialPostalCodes++;
+        else if (pcProgress.status === 'failed') failedPostalCodes++;
         totalLeads += pcProgress.leadsCount || 0;
       }
     });
@@ -490,7 +1290,8 @@ app.get('/api/locations/progress', requireAuth, (req, res) => {
     totalPostalCodes,
     scrapedPostalCodes,
     partialPostalCodes,
-    notStarted: totalPostalCodes - scrapedPostalCodes - partialPostalCodes,
+    failedPostalCodes,
+    notStarted: totalPostalCodes - scrapedPostalCodes - partialPostalCodes - failedPostalCodes,
     totalLeads,
     progressPercent: Math.round((scrapedPostalCodes / totalPostalCodes) * 100)
   });
@@ -511,56 +1312,480 @@ app.post('/api/neighborhoods', requireAuth, (req, res) => {
 
 app.post('/api/neighborhoods/add', requireAuth, (req, res) => {
   const { name, location, zipCodes, description } = req.body;
-  const data = loadNeighborhoods();
-  data.neighborhoods.push({
-    id: Date.now().toString(),
-    name,
-    location,
-    zipCodes: zipCodes || [],
-    description: description || ''
+  const neighborhoods = updateJsonFile(NEIGHBORHOODS_PATH, defaultNeighborhoods, data => {
+    data.neighborhoods.push({
+      id: Date.now().toString(),
+      name,
+      location,
+      zipCodes: zipCodes || [],
+      description: description || ''
+    });
+    return data.neighborhoods;
   });
-  saveNeighborhoods(data);
-  res.json({ success: true, neighborhoods: data.neighborhoods });
+  res.json({ success: true, neighborhoods });
 });
 
 app.delete('/api/neighborhoods/:id', requireAuth, (req, res) => {
   const { id } = req.params;
-  const data = loadNeighborhoods();
-  data.neighborhoods = data.neighborhoods.filter(n => n.id !== id);
-  saveNeighborhoods(data);
+  updateJsonFile(NEIGHBORHOODS_PATH, defaultNeighborhoods, data => {
+    data.neighborhoods = data.neighborhoods.filter(n => n.id !== id);
+  });
   res.json({ success: true });
 });
 
-// ============== DATAFORSEO API ==============
-// Based on: https://docs.dataforseo.com/v3/
+// ============== SPEND LEDGER ==============
+// Every DataForSEO response carries a "cost" field - we record it so spend can be
+// reported per job, per campaign and per no-website lead kept. Entries are rows of the
+// `spend` table in data/leads.db: recording one is a single insert and the month total
+// an indexed sum, however long the ledger gets. data/spend-ledger.json (its old home)
+// is imported once on start (migrateSpendLedger).
+
+const insertSpendStatement = db.prepare(`
+  INSERT INTO spend (at, job_id, campaign_name, category, area, endpoint, cost)
+  VALUES (@at, @jobId, @campaignName, @category, @area, @endpoint, @cost)
+`);
+
+function spendRow(entry) {
+  return {
+    at: entry.at || new Date().toISOString(),
+    jobId: entry.jobId || null,
+    campaignName: entry.campaignName || null,
+    category: entry.category || null,
+    area: entry.area || null,
+    endpoint: entry.endpoint || null,
+    cost: entry.cost || 0
+  };
+}
 
-class DataForSEOAPI {
-  constructor(login, password) {
-    this.login = login;
-    this.password = password;
-    this.baseUrl = 'https://api.dataforseo.com/v3';
-    this.auth = Buffer.from(`${login}:${password}`).toString('base64');
+function recordSpend(entry) {
+  insertSpendStatement.run(spendRow(entry));
+  
+  // Keep the running total on the job itself for the per-job cap
+  const job = entry.jobId ? scrapingJobs.get(entry.jobId) : null;
+  if (job) {
+    job.cost = (job.cost || 0) + entry.cost;
   }
+}
 
-  async request(endpoint, method = 'POST', body = null) {
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Basic ${this.auth}`,
-        'Content-Type': 'application/json',
-      },
-    };
-
-    if (body && method !== 'GET') {
-      options.body = JSON.stringify(body);
-    }
+// [{ at, jobId, campaignName, category, area, endpoint, cost }], all of them or one job's
+function spendEntries(jobId = null) {
+  return db.prepare(`
+    SELECT at, job_id AS jobId, campaign_name AS campaignName, category, area, endpoint, cost
+    FROM spend ${jobId ? 'WHERE job_id = ?' : ''} ORDER BY id
+  `).all(...(jobId ? [jobId] : []));
+}
 
-    const response = await fetch(`${this.baseUrl}${endpoint}`, options);
-    const data = await response.json();
+function getMonthSpend() {
+  const monthStart = new Date();
+  monthStart.setUTCDate(1);
+  monthStart.setUTCHours(0, 0, 0, 0);
+  return db.prepare('SELECT COALESCE(SUM(cost), 0) AS cost FROM spend WHERE at >= ?').get(monthStart.toISOString()).cost;
+}
 
-    if (data.status_code !== 20000) {
-      throw new Error(`DataForSEO Error: ${data.status_message || 'Unknown error'}`);
-    }
+function migrateSpendLedger() {
+  if (getMeta('spendMigratedAt')) return;
+  
+  const ledger = readJsonFile(SPEND_LEDGER_PATH);
+  db.transaction(() => {
+    (ledger?.entries || []).forEach(entry => insertSpendStatement.run(spendRow(entry)));
+    setMeta('spendMigratedAt', new Date().toISOString());
+  })();
+  
+  if (ledger) {
+    logEvent('success', 'storage', `Imported ${ledger.entries?.length || 0} spend ledger entries into ${LEADS_DB_PATH}`);
+  }
+}
+
+// Estimated price of one Maps search at the given depth (live or task_post queue)
+function estimateSearchCost(depth, fetchMode = 'live') {
+  const { mapsLivePerPage, mapsTaskPerPage, mapsResultsPerPage } = config.pricing;
+  const pricePerPage = fetchMode === 'task' ? mapsTaskPerPage : mapsLivePerPage;
+  return Math.ceil(depth / (mapsResultsPerPage || 100)) * pricePerPage;
+}
+
+// categories × areas (× grid tiles) × depth pricing, checked against balance and configured caps.
+// Live searches that start shallow are priced for the worst case: the shallow pass plus the
+// full-depth one (see AREA TARGETS).
+async function estimateJobCost(job) {
+  const provider = leadProviderFor(job);
+  const depth = job.searchMode === 'grid' ? job.grid.depthPerTile : (config.defaults.searchDepth || 700);
+  const startDepth = segmentStartDepth(job, provider);
+  let searches = 0;
+  let totalCost = 0;
+  job.neighborhoods.forEach(neighborhood => {
+    job.plan.categories.forEach(category => {
+      provider.searches(job, neighborhood, category).forEach(query => {
+        searches++;
+        totalCost += provider.searchCost(query, job);
+        if (startDepth < query.depth) totalCost += provider.searchCost({ ...query, depth: startDepth }, job);
+      });
+    });
+  });
+  const costPerSearch = searches > 0 ? Math.round((totalCost / searches) * 10000) / 10000 : 0;
+  const estimatedCost = Math.round(totalCost * 10000) / 10000;
+  const monthSpent = getMonthSpend();
+  const { maxCostPerJob, maxMonthlyCost } = config.budget;
+  
+  let balance = null;
+  if (provider.needsCredentials) {
+    try {
+      const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password);
+      balance = await api.getBalance();
+    } catch (e) {
+      logEvent('warning', 'budget', `Could not fetch DataForSEO balance for estimate: ${e.message}`);
+    }
+  }
+  
+  const problems = [];
+  if (balance !== null && estimatedCost > balance) {
+    problems.push(`Estimated cost $${estimatedCost.toFixed(2)} exceeds DataForSEO balance $${balance.toFixed(2)}`);
+  }
+  if (maxCostPerJob > 0 && estimatedCost > maxCostPerJob) {
+    problems.push(`Estimated cost $${estimatedCost.toFixed(2)} exceeds per-job cap $${maxCostPerJob.toFixed(2)}`);
+  }
+  if (maxMonthlyCost > 0 && monthSpent + estimatedCost > maxMonthlyCost) {
+    problems.push(`Month spend $${monthSpent.toFixed(2)} + estimate $${estimatedCost.toFixed(2)} exceeds monthly cap $${maxMonthlyCost.toFixed(2)}`);
+  }
+  
+  return {
+    searches,
+    depth,
+    startDepth,
+    provider: job.provider || DEFAULT_LEAD_PROVIDER,
+    fetchMode: job.fetchMode || 'live',
+    costPerSearch,
+    estimatedCost,
+    balance,
+    monthSpent: Math.round(monthSpent * 10000) / 10000,
+    maxCostPerJob,
+    maxMonthlyCost,
+    withinBudget: problems.length === 0,
+    problems
+  };
+}
+
+// ============== REQUEST SCHEDULER ==============
+// A single scheduler is shared by every DataForSEOAPI instance, so the concurrency
+// limit holds even when several jobs run at once. Network errors and rate-limit
+// responses are retried with exponential backoff; while DataForSEO is throttling us
+// the effective concurrency is halved and then restored after a run of successes.
+
+const RETRYABLE_HTTP_STATUS = [429, 500, 502, 503, 504];
+// DataForSEO status codes for rate limits and temporary server-side failures
+const RATE_LIMIT_DATAFORSEO_CODES = [40202, 40209];
+const RETRYABLE_DATAFORSEO_CODES = [...RATE_LIMIT_DATAFORSEO_CODES, 50000, 50301, 50401];
+
+class RequestScheduler {
+  constructor(options) {
+    this.active = 0;
+    this.queue = [];
+    this.backoffUntil = 0;
+    this.nextStartAt = 0;
+    this.successStreak = 0;
+    this.configure(options);
+  }
+
+  configure({ concurrency = 2, minIntervalMs = 500, maxRetries = 4, baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.limit = this.concurrency;
+    this.minIntervalMs = minIntervalMs;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.drain();
+  }
+
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  release() {
+    this.active--;
+    this.drain();
+  }
+
+  drain() {
+    while (this.active < this.limit && this.queue.length > 0) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+
+  // Respect the global backoff window and the minimum gap between request starts
+  async waitForTurn() {
+    const now = Date.now();
+    const startAt = Math.max(now, this.backoffUntil, this.nextStartAt);
+    this.nextStartAt = startAt + this.minIntervalMs;
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  recordSuccess() {
+    if (this.limit >= this.concurrency) return;
+    this.successStreak++;
+    if (this.successStreak >= 10) {
+      this.successStreak = 0;
+      this.limit++;
+      logEvent('info', 'rate-limiter', `DataForSEO recovered - concurrency back to ${this.limit}/${this.concurrency}`);
+      this.drain();
+    }
+  }
+
+  recordRateLimit(delay) {
+    this.successStreak = 0;
+    this.backoffUntil = Math.max(this.backoffUntil, Date.now() + delay);
+    const reduced = Math.max(1, Math.floor(this.limit / 2));
+    if (reduced < this.limit) {
+      this.limit = reduced;
+      logEvent('warning', 'rate-limiter', `DataForSEO rate limit hit - concurrency reduced to ${this.limit}/${this.concurrency}`);
+    }
+  }
+
+  async schedule(task, label = 'request') {
+    for (let attempt = 0; ; attempt++) {
+      let retryDelay;
+      await this.acquire();
+      try {
+        await this.waitForTurn();
+        const result = await task();
+        this.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) throw error;
+        retryDelay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt) + Math.round(Math.random() * this.baseDelayMs);
+        if (error.rateLimited) this.recordRateLimit(retryDelay);
+        logEvent('warning', 'rate-limiter', `Retrying ${label} in ${Math.round(retryDelay / 1000)}s (attempt ${attempt + 2}/${this.maxRetries + 1}): ${error.message}`);
+      } finally {
+        this.release();
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      limit: this.limit,
+      concurrency: this.concurrency,
+      backingOff: this.backoffUntil > Date.now()
+    };
+  }
+}
+
+const dataforseoScheduler = new RequestScheduler(config.scheduler);
+
+// ============== DATAFORSEO API ==============
+// Based on: https://docs.dataforseo.com/v3/
+
+// Map a Google Maps SERP item (live or task_get result) to our lead shape
+function mapMapsItem(item) {
+  return {
+    id: item.place_id || item.cid,
+    name: item.title,
+    phone: item.phone,
+    website: item.url,
+    address: item.address,
+    rating: item.rating?.value,
+    reviewsCount: item.rating?.votes_count,
+    category: item.category,
+    hours: item.work_hours,
+    coordinates: item.latitude && item.longitude ? { lat: item.latitude, lng: item.longitude } : null,
+    isClaimed: item.is_claimed,
+    placeId: item.place_id
+  };
+}
+
+function mapMapsItems(items) {
+  return (items || []).filter(item => item.type === 'maps_search').map(mapMapsItem);
+}
+
+// Search-time targeting rules (phone, rating) - see TARGETING RULES
+function filterCallableListings(results, targeting) {
+  const rejected = {};
+  const kept = results.filter(listing => {
+    const rule = targetingRejection(targeting, listing, SEARCH_TIME_RULES);
+    if (rule) rejected[rule] = (rejected[rule] || 0) + 1;
+    return !rule;
+  });
+
+  logEvent('success', 'dataforseo', `Found ${results.length} total, ${kept.length} match the phone and rating rules (before website filter)`);
+  
+  // The other rules are applied when the job's leads are saved (applyTargeting)
+  // (rawCount feeds the yield statistics, rejected the job's targeting summary)
+  return Object.assign(kept, { rawCount: results.length, rejected });
+}
+
+// Search depth and keyword used for every Maps query of a job segment
+// (job.depth overrides the configured depth, e.g. for a dry-run preview)
+function mapsSearchDepth(job = null) {
+  // INCREASED DEPTH: Since we filter out businesses WITH websites,
+  // we need to scrape 5-10x more to get enough WITHOUT websites
+  // Target: 100 businesses without websites = scrape 500-700 total
+  return job?.depth || config.defaults.searchDepth || 700;
+}
+
+function mapsSearchKeyword(category, location) {
+  return `${category} ${location}`;
+}
+
+// ============== SEARCH LANGUAGES ==============
+// Quebec businesses are often listed under French categories only, so a job can
+// search every category once per language ("languages": ["fr", "en"]) using the
+// French name from the category catalog. The passes are merged by placeId and each
+// lead keeps the passes that found it.
+
+const SEARCH_LANGUAGES = ['en', 'fr'];
+
+// Search term of a category for one language pass (see the category catalog);
+// categories that are not in the catalog are searched as typed
+function localizedCategory(category, languageCode) {
+  return findCatalogCategory(category)?.name[languageCode] || category;
+}
+
+// Language passes of a job (older jobs only ran the configured default)
+function jobLanguages(job) {
+  return job.languages?.length > 0 ? job.languages : [config.defaults.languageCode || 'en'];
+}
+
+// Mark listings with the language pass that returned them
+function withSearchLanguage(listings, languageCode) {
+  return listings.map(listing => ({ ...listing, searchLanguages: [languageCode] }));
+}
+
+// Grid sweep: lat/lng points spaced `spacingKm` apart covering a circle around the area
+// center. Each point is searched with location_coordinate instead of a place name, so
+// results stay inside the area and dense neighbourhoods are not capped by one query.
+function buildGridTiles(center, radiusKm, spacingKm) {
+  const steps = Math.floor(radiusKm / spacingKm);
+  const latStep = spacingKm / 111.32;
+  const lngStep = spacingKm / (111.32 * Math.cos(center.lat * Math.PI / 180));
+  const tiles = [];
+  
+  for (let i = -steps; i <= steps; i++) {
+    for (let j = -steps; j <= steps; j++) {
+      if (Math.hypot(i, j) * spacingKm > radiusKm + spacingKm / 2) continue;
+      tiles.push({
+        lat: Math.round((center.lat + i * latStep) * 1e6) / 1e6,
+        lng: Math.round((center.lng + j * lngStep) * 1e6) / 1e6
+      });
+    }
+  }
+  return tiles;
+}
+
+// Tile closest to the area center (a grid preview searches only this one)
+function centerGridTile(target) {
+  const { lat, lng } = target.center;
+  return target.gridTiles.reduce((best, tile) =>
+    Math.hypot(tile.lat - lat, tile.lng - lng) < Math.hypot(best.lat - lat, best.lng - lng) ? tile : best);
+}
+
+// Maps queries that make up one (area, category) segment: one per language pass (× grid tile)
+function segmentQueries(job, neighborhood, category) {
+  const locationCode = parseInt(config.defaults.locationCode) || 2124;
+  
+  return jobLanguages(job).flatMap(languageCode => {
+    const keyword = localizedCategory(category, languageCode);
+    if (job.searchMode === 'grid' && neighborhood.gridTiles?.length > 0) {
+      return neighborhood.gridTiles.map(tile => ({
+        keyword,
+        locationCoordinate: `${tile.lat},${tile.lng},${job.grid.zoom}z`,
+        languageCode,
+        depth: job.grid.depthPerTile
+      }));
+    }
+    return [{ keyword: mapsSearchKeyword(keyword, neighborhood.location), locationCode, languageCode, depth: mapsSearchDepth(job) }];
+  });
+}
+
+// Overlapping tiles and language passes return the same businesses - keep each place
+// once, remembering every language pass that found it
+function mergeListings(results) {
+  const merged = new Map();
+  results.forEach(r => {
+    const key = r.placeId || r.id || `${r.name}|${r.phone}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, r);
+    } else if (r.searchLanguages) {
+      existing.searchLanguages = [...new Set([...(existing.searchLanguages || []), ...r.searchLanguages])];
+    }
+  });
+  return [...merged.values()];
+}
+
+class DataForSEOAPI {
+  // context ({ jobId, campaignName }) is attached to every spend ledger entry
+  constructor(login, password, context = {}) {
+    this.login = login;
+    this.password = password;
+    this.baseUrl = 'https://api.dataforseo.com/v3';
+    this.auth = Buffer.from(`${login}:${password}`).toString('base64');
+    this.context = context;
+  }
+
+  // All calls go through the shared scheduler (concurrency limit + retries)
+  async request(endpoint, method = 'POST', body = null, meta = {}) {
+    return dataforseoScheduler.schedule(() => this.send(endpoint, method, body, meta), endpoint);
+  }
+
+  async send(endpoint, method, body, meta) {
+    const options = {
+      method,
+      headers: {
+        'Authorization': `Basic ${this.auth}`,
+        'Content-Type': 'application/json',
+      },
+    };
+
+    if (body && method !== 'GET') {
+      options.body = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${endpoint}`, options);
+    } catch (error) {
+      // Network-level failure (DNS, reset, timeout) - worth another try
+      error.retryable = true;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      const httpError = new Error(`DataForSEO HTTP ${response.status}: invalid JSON response`);
+      httpError.retryable = RETRYABLE_HTTP_STATUS.includes(response.status);
+      httpError.rateLimited = response.status === 429;
+      throw httpError;
+    }
+
+    // Failed calls can still be billed, so record the cost before checking the status
+    if (data.cost > 0) {
+      recordSpend({ ...this.context, ...meta, endpoint, cost: data.cost });
+    }
+
+    // Rate limits can be reported for the whole request or for its task
+    const statusCode = data.status_code !== 20000 ? data.status_code : data.tasks?.[0]?.status_code;
+    if (data.status_code !== 20000 || RETRYABLE_DATAFORSEO_CODES.includes(statusCode)) {
+      const message = data.status_code !== 20000 ? data.status_message : data.tasks[0].status_message;
+      const error = new Error(`DataForSEO Error: ${message || 'Unknown error'}`);
+      error.statusCode = statusCode;
+      error.retryable = RETRYABLE_DATAFORSEO_CODES.includes(statusCode) || RETRYABLE_HTTP_STATUS.includes(response.status);
+      error.rateLimited = RATE_LIMIT_DATAFORSEO_CODES.includes(statusCode) || response.status === 429;
+      throw error;
+    }
+
+    // Live search results of a job segment (task results are archived when collected)
+    if (meta.category && data.tasks?.[0]?.result) {
+      archiveRawTask({ jobId: this.context.jobId, area: meta.area, category: meta.category, endpoint, task: data.tasks[0] });
+    }
 
     return data;
   }
@@ -574,71 +1799,74 @@ class DataForSEOAPI {
   // Search Google Maps for local businesses (BEST for leads with phone numbers)
   // Docs: https://docs.dataforseo.com/v3/serp/google/maps/live/advanced/
   async searchGoogleMaps(params) {
-    const { keyword, locationCode = 2124, languageCode = 'en', depth = 20 } = params;
+    const { keyword, locationCode = 2124, locationCoordinate, languageCode = 'en', depth = 20, meta = {} } = params;
 
     const payload = [{
       keyword,
-      location_code: locationCode,
+      ...(locationCoordinate ? { location_coordinate: locationCoordinate } : { location_code: locationCode }),
       language_code: languageCode,
       device: 'desktop',
       os: 'windows',
       depth
     }];
 
-    const data = await this.request('/serp/google/maps/live/advanced', 'POST', payload);
-    const items = data.tasks?.[0]?.result?.[0]?.items || [];
-
-    return items
-      .filter(item => item.type === 'maps_search')
-      .map(item => ({
-        id: item.place_id || item.cid,
-        name: item.title,
-        phone: item.phone,
-        website: item.url,
-        address: item.address,
-        rating: item.rating?.value,
-        reviewsCount: item.rating?.votes_count,
-        category: item.category,
-        hours: item.work_hours,
-        coordinates: item.latitude && item.longitude ? { lat: item.latitude, lng: item.longitude } : null,
-        isClaimed: item.is_claimed,
-        placeId: item.place_id
-      }));
+    const data = await this.request('/serp/google/maps/live/advanced', 'POST', payload, meta);
+    return mapMapsItems(data.tasks?.[0]?.result?.[0]?.items);
+  }
+
+  // Queue Maps searches on the cheaper standard endpoint (max 100 per call)
+  // Docs: https://docs.dataforseo.com/v3/serp/google/maps/task_post/
+  // Returns the created task ids in the same order as `tasks`
+  async postMapsTasks(tasks, meta = {}) {
+    const payload = tasks.map(task => ({
+      keyword: task.keyword,
+      ...(task.locationCoordinate ? { location_coordinate: task.locationCoordinate } : { location_code: task.locationCode || 2124 }),
+      language_code: task.languageCode || 'en',
+      device: 'desktop',
+      os: 'windows',
+      depth: task.depth,
+      tag: task.tag,
+      ...(task.postbackUrl ? { postback_url: task.postbackUrl, postback_data: 'advanced' } : {})
+    }));
+
+    const data = await this.request('/serp/google/maps/task_post', 'POST', payload, meta);
+    return (data.tasks || []).map(t => (t.status_code === 20100 ? t.id : null));
+  }
+
+  // Ids of finished tasks that have not been collected yet (whole account)
+  // Docs: https://docs.dataforseo.com/v3/serp/google/maps/tasks_ready/
+  async getReadyMapsTasks() {
+    const data = await this.request('/serp/google/maps/tasks_ready', 'GET');
+    return data.tasks?.[0]?.result || [];
+  }
+
+  // Docs: https://docs.dataforseo.com/v3/serp/google/maps/task_get/advanced/
+  async getMapsTask(taskId) {
+    const data = await this.request(`/serp/google/maps/task_get/advanced/${taskId}`, 'GET');
+    return data.tasks?.[0];
   }
 
   // Main search function - uses Google Maps API
+  // `queries` (see segmentQueries) replaces the single keyword search, e.g. for grid tiles
+  // or French + English passes; their results are merged by placeId
   async searchBusinessListings(params) {
-    const { location, category, minRating, limit } = params;
-    
-    // Build keyword from category and location
-    const keyword = `${category} ${location}`;
-    
-    // INCREASED DEPTH: Since we filter out businesses WITH websites,
-    // we need to scrape 5-10x more to get enough WITHOUT websites
-    // Target: 100 businesses without websites = scrape 500-700 total
-    const depth = 700; // Maximum depth to get comprehensive results
-    
-    logEvent('info', 'dataforseo', `Searching: "${keyword}" (depth: ${depth} - will filter for NO WEBSITE)`);
+    const { location, area, category, targeting, locationCode = 2124, languageCode = 'en' } = params;
+    // Maximum depth to get comprehensive results
+    const queries = params.queries || [{ keyword: mapsSearchKeyword(category, location), depth: mapsSearchDepth() }];
     
-    const results = await this.searchGoogleMaps({
-      keyword,
-      locationCode: 2124, // Canada
-      depth
-    });
-
-    // Filter by rating if specified, but keep all phones (even without)
-    let filtered = results;
-    if (minRating > 0) {
-      filtered = results.filter(r => (r.rating || 0) >= minRating);
+    if (queries.length > 1) {
+      logEvent('info', 'dataforseo', `Sweep: "${category}" in ${area || location} (${queries.length} searches)`, { jobId: this.context.jobId });
+    } else {
+      logEvent('info', 'dataforseo', `Searching: "${queries[0].keyword}" (depth: ${queries[0].depth} - will filter for NO WEBSITE)`, { jobId: this.context.jobId });
     }
     
-    // Keep businesses WITH phone numbers for cold calling
-    const withPhone = filtered.filter(r => r.phone);
+    const found = [];
+    for (const query of queries) {
+      const results = await this.searchGoogleMaps({ locationCode, languageCode, ...query, meta: { category, area: area || location } });
+      found.push(...withSearchLanguage(results, query.languageCode || languageCode));
+    }
 
-    logEvent('success', 'dataforseo', `Found ${results.length} total, ${withPhone.length} with phone numbers (before website filter)`);
-    
-    // Return ALL results - the NO WEBSITE filter happens in addLeadsToLocal()
-    return withPhone; // Don't limit here - we need all of them for filtering
+    return filterCallableListings(mergeListings(found), targeting); // Don't limit here - we need all of them for filtering
   }
 
   // Calculate lead score
@@ -658,6 +1886,156 @@ class DataForSEOAPI {
   }
 }
 
+// ============== LEAD PROVIDERS ==============
+// Scrape jobs search every (area, category) segment through a provider picked per job
+// (job.provider). Each provider exposes the same shape:
+//   searches(job, neighborhood, category) -> queries of a segment (used for pricing)
+//   searchCost(query, job)                -> estimated USD of one query
+//   search({ api, job, neighborhood, category, targeting, limit }) -> callable listings
+// supportsTaskMode / supportsGrid / supportsLanguages say which job options it can run;
+// supportsDeepening that a segment can be searched shallow first (see AREA TARGETS).
+// Local Finder and Business Listings reuse dataforseo-client.mjs; their requests are
+// routed through DataForSEOAPI so they share the scheduler and the spend ledger.
+
+class ScheduledDataForSEOClient extends DataForSEOClient {
+  constructor(api, meta = {}) {
+    super(api.login, api.password);
+    this.api = api;
+    this.meta = meta;
+  }
+
+  async request(endpoint, method = 'POST', body = null) {
+    return this.api.request(endpoint, method, body, this.meta);
+  }
+}
+
+// Google category ids used by Business Listings ("Hair Salon" -> "hair_salon")
+function businessCategorySlug(category) {
+  return category.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Local Finder items usually carry a cid but no place_id - keep a stable key for dedupe
+function withPlaceId(listing) {
+  return listing.placeId ? listing : { ...listing, placeId: listing.cid ? `cid:${listing.cid}` : undefined };
+}
+
+// Canned Maps items from fixtures/maps-results.json, made unique per segment
+// so dedupe, per-code counts and the website filter behave like a real run
+function fixtureListings(neighborhood, category) {
+  const fixture = JSON.parse(readFileSync(FIXTURE_RESULTS_PATH, 'utf-8'));
+  const area = neighborhood.postalCode || neighborhood.id;
+  const seed = [...`${area}::${category}`].reduce((hash, ch) => (hash * 31 + ch.charCodeAt(0)) % 10000, 7);
+  
+  return mapMapsItems((fixture.items || []).map((item, i) => ({
+    ...item,
+    place_id: `${item.place_id}-${area}-${businessCategorySlug(category)}`,
+    title: `${item.title} (${category})`,
+    category,
+    phone: item.phone ? `${item.phone.slice(0, -4)}${String((seed + i * 37) % 10000).padStart(4, '0')}` : item.phone,
+    address: item.address?.replace('{postalCode}', neighborhood.postalCode || 'H2T'),
+    latitude: neighborhood.center ? neighborhood.center.lat + (item.offset?.[0] || 0) : undefined,
+    longitude: neighborhood.center ? neighborhood.center.lng + (item.offset?.[1] || 0) : undefined
+  })));
+}
+
+const LEAD_PROVIDERS = {
+  maps_live: {
+    label: 'Google Maps (live / task queue)',
+    needsCredentials: true,
+    supportsTaskMode: true,
+    supportsGrid: true,
+    supportsLanguages: true,
+    supportsDeepening: true,
+    searches: segmentQueries,
+    searchCost: (query, job) => estimateSearchCost(query.depth, job.fetchMode),
+    async search({ api, job, neighborhood, category, targeting, limit }) {
+      return api.searchBusinessListings({
+        location: neighborhood.location,
+        area: neighborhood.postalCode || neighborhood.name,
+        category,
+        queries: segmentQueries(job, neighborhood, category),
+        targeting,
+        limit
+      });
+    }
+  },
+  local_finder: {
+    label: 'Google Local Finder',
+    needsCredentials: true,
+    supportsTaskMode: false,
+    supportsGrid: false,
+    supportsLanguages: true,
+    supportsDeepening: true,
+    searches: (job, neighborhood, category) => jobLanguages(job).map(languageCode => ({
+      keyword: mapsSearchKeyword(localizedCategory(category, languageCode), neighborhood.location),
+      locationCode: parseInt(config.defaults.locationCode) || 2124,
+      languageCode,
+      depth: mapsSearchDepth(job)
+    })),
+    searchCost: query => Math.ceil(query.depth / (config.pricing.localFinderResultsPerPage || 20)) * config.pricing.localFinderPerPage,
+    async search({ api, job, neighborhood, category, targeting }) {
+      const client = new ScheduledDataForSEOClient(api, { category, area: neighborhood.postalCode || neighborhood.name });
+      const found = [];
+      
+      for (const query of this.searches(job, neighborhood, category)) {
+        logEvent('info', 'dataforseo', `Local Finder: "${query.keyword}" (${query.languageCode}, depth: ${query.depth})`, { jobId: job.id });
+        const results = await client.searchLocalFinder(query);
+        found.push(...withSearchLanguage(results.map(withPlaceId), query.languageCode));
+      }
+      return filterCallableListings(mergeListings(found), targeting);
+    }
+  },
+  business_listings: {
+    label: 'Business Listings database (radius around each area)',
+    needsCredentials: true,
+    supportsTaskMode: false,
+    supportsGrid: false,
+    supportsLanguages: false,
+    supportsDeepening: true,
+    searches: job => [{ depth: Math.min(mapsSearchDepth(job), 1000) }],
+    searchCost: query => config.pricing.businessListingsPerTask + query.depth * config.pricing.businessListingsPerResult,
+    async search({ api, job, neighborhood, category, targeting }) {
+      if (!neighborhood.center) {
+        throw new Error(`No coordinates for ${neighborhood.postalCode || neighborhood.name} - Business Listings needs a center point`);
+      }
+      const client = new ScheduledDataForSEOClient(api, { category, area: neighborhood.postalCode || neighborhood.name });
+      const radiusKm = neighborhood.radiusKm || job.grid?.areaRadiusKm || config.grid.areaRadiusKm;
+      const listingsCategory = findCatalogCategory(category)?.listingsCategory || businessCategorySlug(category);
+      logEvent('info', 'dataforseo', `Business Listings: "${listingsCategory}" within ${radiusKm} km of ${neighborhood.name}`, { jobId: job.id });
+      
+      const results = await client.searchLeadsByCoordinates({
+        category: listingsCategory,
+        lat: neighborhood.center.lat,
+        lng: neighborhood.center.lng,
+        radiusMeters: Math.round(radiusKm * 1000),
+        limit: Math.min(mapsSearchDepth(job), 1000)
+      });
+      return filterCallableListings(results, targeting);
+    }
+  },
+  // Canned results for trying the pipeline: no network, no credits, nothing saved to the pool
+  fixture: {
+    label: 'Local fixture (offline test data)',
+    needsCredentials: false,
+    offline: true,
+    supportsTaskMode: false,
+    supportsGrid: false,
+    supportsLanguages: false,
+    supportsDeepening: false,
+    searches: () => [{ depth: 0 }],
+    searchCost: () => 0,
+    async search({ neighborhood, category, targeting }) {
+      return filterCallableListings(fixtureListings(neighborhood, category), targeting);
+    }
+  }
+};
+
+const DEFAULT_LEAD_PROVIDER = 'maps_live';
+
+function leadProviderFor(job) {
+  return LEAD_PROVIDERS[job.provider] || LEAD_PROVIDERS[DEFAULT_LEAD_PROVIDER];
+}
+
 // ============== EMAIL EXTRACTOR ==============
 // Crawls lead websites to extract contact emails
 
@@ -940,638 +2318,2768 @@ const emailExtractor = new EmailExtractor();
 // Store for active scraping jobs
 const scrapingJobs = new Map();
 
-// Categories for "All Businesses" broad search
-const ALL_BUSINESS_CATEGORIES = [
-  // General Business
-  'business',
-  'office',
-  'professional services',
-  'company',
-  'corporate',
-  'commercial',
-  'store',
-  'shop',
-  'agency',
-  'firm',
-  'clinic',
-  'center',
-  'studio',
-  'salon',
-  'restaurant',
-  'medical',
-  'dental',
-  'legal',
-  'accounting',
-  'real estate',
-  'insurance',
-  'consulting',
-  'marketing',
-  'technology',
-  'construction',
-  'retail',
-  'fitness',
-  'spa',
-  'automotive',
-  
-  // Automotive & Concessionnaires
-  'car dealership',
-  'concessionnaire',
-  'concessionnaire auto',
-  'concessionnaire automobile',
-  'auto dealer',
-  'used car dealer',
-  'motorcycle dealer',
-  'RV dealer',
-  'truck dealer',
-  'vehicle dealer',
-  'auto repair',
-  'mechanic',
-  'car wash',
-  'tire shop',
-  'auto parts',
-  
-  // Buildings & Property Management (Residential)
-  'apartment building',
-  'residential building',
-  'condo building',
-  'property management',
-  'building management',
-  'syndic',
-  'syndic de copropriété',
-  'immeuble',
-  'immeuble résidentiel',
-  'immeuble à logements',
-  'gestion immobilière',
-  'housing complex',
-  'apartment complex',
-  'condo association',
-  'strata management',
-  'landlord',
-  'property owner',
-  'rental property',
-  'logement',
-  'habitation',
-  
-  // More Business Types
-  'cafe',
-  'bakery',
-  'gym',
-  'pharmacy',
-  'hotel',
-  'motel',
-  'daycare',
-  'school',
-  'warehouse',
-  'factory',
-  'manufacturing'
-];
+// ============== PERSISTENT SCRAPE JOBS ==============
+// Every job is written to data/jobs/<jobId>.json as it runs (plan, per-segment
+// checkpoint and accumulated leads) so a redeploy or crash never throws away
+// paid DataForSEO calls. Running jobs are resumed automatically on boot.
 
-app.post('/api/scrape/start', requireAuth, async (req, res) => {
-  const { category, campaignName, neighborhoods: selectedIds, scrapeMode = 'category', postalCodes, cityId, limit } = req.body;
+function jobFilePath(jobId) {
+  return join(JOBS_DIR, `${jobId}.json`);
+}
+
+function saveJob(job) {
+  try {
+    job.updatedAt = new Date().toISOString();
+    writeJsonFile(jobFilePath(job.id), job, { backup: false });
+  } catch (e) {
+    console.error(`Error saving job ${job.id}:`, e.message);
+  }
+  // A finished job only keeps its summary in memory - its leads stay in the file
+  if (isJobFinished(job) && scrapingJobs.has(job.id)) {
+    scrapingJobs.set(job.id, jobSummary(job));
+  }
+  // Every checkpoint and state change is also pushed to the live streams
+  publishScrapeJob(job);
+}
+
+function loadSavedJobs() {
+  const jobs = [];
+  for (const file of readdirSync(JOBS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const job = readJsonFile(join(JOBS_DIR, file));
+      if (job) jobs.push(job);
+    } catch (e) {
+      console.error(`Error loading job file ${file}:`, e.message);
+    }
+  }
+  return jobs;
+}
+
+// Completed, or cancelled and wrapped up (a cancelled job has no endTime until its loop stops)
+function isJobFinished(job) {
+  return (job.status === 'completed' || job.status === 'cancelled') && !!job.endTime;
+}
+
+// The job without its leads (status routes, spend report); leadsCount stands in for leads.length
+function jobSummary(job) {
+  const { leads, ...summary } = job;
+  return { ...summary, leadsCount: leads?.length || 0, summaryOnly: true };
+}
+
+// The job with its leads: summaries of finished jobs are read back from their file
+function loadFullJob(jobId) {
+  const job = scrapingJobs.get(jobId);
+  if (!job?.summaryOnly) return job || null;
+  return readJsonFile(jobFilePath(jobId));
+}
+
+function jobLeadsCount(job) {
+  return job.leads ? job.leads.length : job.leadsCount || 0;
+}
+
+// Delete the files of jobs that ended more than jobs.retentionDays ago
+function pruneFinishedJobs() {
+  const retentionDays = config.jobs.retentionDays;
+  if (!(retentionDays > 0)) return 0;
   
-  if (!config.dataforseo.login || !config.dataforseo.password) {
-    return res.status(400).json({ error: 'DataForSEO credentials not configured' });
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const job of scrapingJobs.values()) {
+    if (!isJobFinished(job) || new Date(job.endTime).getTime() >= cutoff) continue;
+    try {
+      rmSync(jobFilePath(job.id), { force: true });
+      scrapingJobs.delete(job.id);
+      pruned++;
+    } catch (e) {
+      console.error(`Error deleting job file ${job.id}:`, e.message);
+    }
+  }
+  if (pruned > 0) {
+    logEvent('info', 'workflow', `Deleted ${pruned} job file(s) older than ${retentionDays} days`, { pruned });
   }
+  return pruned;
+}
 
-  // Support both old neighborhoods system and new postal code system
-  let targets = [];
+// One segment = one (area, category) API call; the key identifies it in the checkpoint
+function segmentKey(target, category) {
+  return `${target.postalCode || target.id}::${category}`;
+}
+
+// Failed segments are not done: a resumed job searches them again
+function isSegmentDone(job, target, category) {
+  const status = job.segments?.[segmentKey(target, category)]?.status;
+  return status === 'complete' || status === 'skipped';
+}
+
+function isSegmentFailed(job, target, category) {
+  return job.segments?.[segmentKey(target, category)]?.status === 'failed';
+}
+
+function jobTotalSegments(job) {
+  return job.neighborhoods.length * (job.plan?.categories?.length || 1);
+}
+
+// Turn [{ cityId, postalCodes }] into search targets (a code picked twice is searched once)
+function buildPostalCodeTargets(selections) {
+  const areas = loadMontrealAreas();
+  const targets = new Map();
   
-  if (postalCodes && postalCodes.length > 0) {
-    // New postal code based scraping
-    const areas = loadMontrealAreas();
+  selections.forEach(({ cityId, postalCodes = [] }) => {
     const city = areas.cities.find(c => c.id === cityId);
-    
-    targets = postalCodes.map(code => {
+    postalCodes.forEach(code => {
+      if (targets.has(code)) return;
       const pcInfo = city?.postalCodes.find(p => p.code === code);
-      return {
+      targets.set(code, {
         id: code,
         name: pcInfo?.area || code,
         location: `${pcInfo?.area || ''}, ${city?.name || ''}, QC, Canada`,
         postalCode: code,
         cityId: cityId,
-        cityName: city?.name || ''
-      };
+        cityName: city?.name || '',
+        center: pcInfo?.lat != null ? { lat: pcInfo.lat, lng: pcInfo.lng } : null,
+        radiusKm: pcInfo?.radiusKm || null
+      });
     });
-  } else if (selectedIds && selectedIds.length > 0) {
-    // Legacy neighborhood system
-    const neighborhoodData = loadNeighborhoods();
-    targets = neighborhoodData.neighborhoods
-      .filter(n => selectedIds.includes(n.id))
-      .map(n => ({ ...n, postalCode: null }));
-  }
+  });
+  
+  return [...targets.values()];
+}
 
-  if (targets.length === 0) {
-    return res.status(400).json({ error: 'No locations selected' });
-  }
+function jobCityNames(job) {
+  return [...new Set(job.neighborhoods.map(n => n.cityName).filter(Boolean))].join(', ');
+}
 
-  const jobId = Date.now().toString();
-  const job = {
-    id: jobId,
-    status: 'running',
-    category,
-    scrapeMode, // 'category', 'all_businesses'
-    campaignName,
-    cityId,
-    postalCodes: postalCodes || [],
-    neighborhoods: targets, // Now called targets internally
-    limit: limit || config.defaults.limitPerNeighborhood || 100, // Results per area
-    progress: 0,
-    totalNeighborhoods: targets.length,
-    currentNeighborhood: '',
-    currentCategory: '',
-    leads: [],
-    errors: [],
-    startTime: new Date().toISOString()
+// Same business found by several categories/areas of one run is kept once
+function dedupeJobLeads(job) {
+  const originalCount = job.leads.length;
+  job.leads = dedupeLeads(job.leads);
+  
+  const duplicatesRemoved = originalCount - job.leads.length;
+  job.duplicatesRemoved = duplicatesRemoved;
+  logEvent('success', 'deduplication', `Removed ${duplicatesRemoved} duplicates, ${job.leads.length} unique leads`, {
+    jobId: job.id,
+    original: originalCount,
+    unique: job.leads.length,
+    duplicates: duplicatesRemoved
+  });
+}
+
+// First lead per place id, phone and name + address
+function dedupeLeads(leads) {
+  const deduper = createLeadDeduper();
+  return leads.filter(lead => deduper.keep(lead, (kept, duplicate) => {
+    // Another category may have been found by a different language pass
+    if (duplicate.searchLanguages) kept.searchLanguages = [...new Set([...(kept.searchLanguages || []), ...duplicate.searchLanguages])];
+  }));
+}
+
+// The place ids, phones and names + addresses seen so far. keep(lead) records the lead and
+// says whether it is the first of its business. A deduper built on a `parent` also counts
+// what the parent has seen without adding to it (area targets try out a search's leads).
+function createLeadDeduper(parent = null) {
+  const places = new Map();
+  const phones = new Set();
+  const names = new Set();
+  
+  const deduper = {
+    keptPlace: placeId => places.get(placeId) || parent?.keptPlace(placeId),
+    hasPhone: phone => phones.has(phone) || !!parent?.hasPhone(phone),
+    hasName: nameKey => names.has(nameKey) || !!parent?.hasName(nameKey),
+    keep(lead, onDuplicatePlace = () => {}) {
+      if (lead.placeId) {
+        const kept = deduper.keptPlace(lead.placeId);
+        if (kept) {
+          onDuplicatePlace(kept, lead);
+          return false;
+        }
+        places.set(lead.placeId, lead);
+      }
+      if (lead.phone) {
+        const phone = lead.phone.replace(/\D/g, '');
+        if (deduper.hasPhone(phone)) return false;
+        phones.add(phone);
+      }
+      // Also dedupe by name+address combo for businesses without phones
+      const nameKey = `${(lead.name || '').toLowerCase()}-${(lead.address || '').toLowerCase()}`;
+      if (deduper.hasName(nameKey)) return false;
+      names.add(nameKey);
+      return true;
+    }
   };
+  return deduper;
+}
 
-  scrapingJobs.set(jobId, job);
+// Forward sortation area (first 3 characters of a Canadian postal code) from a Maps address
+// e.g. "4521 Rue St-Denis, Montréal, QC H2J 2L4" -> "H2J"
+const POSTAL_CODE_PATTERN = /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?\d[ABCEGHJ-NPRSTV-Z]\d\b/i;
 
-  // Start scraping in background based on mode
-  if (scrapeMode === 'all_businesses') {
-    runBroadScrapingJob(jobId, job);
-  } else {
-    runScrapingJob(jobId, job);
-  }
+function extractFSA(address) {
+  const match = (address || '').match(POSTAL_CODE_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+}
 
-  res.json({ jobId, status: 'started' });
-});
+// A code is complete when every category searched it (or was skipped because the code
+// reached its lead target), failed when none of its searches succeeded, and partial
+// otherwise (some failed or the job was cancelled)
+function postalCodeStatus(job, target) {
+  const categories = job.plan?.categories || [job.category];
+  const outcomes = categories.map(category => job.segments?.[segmentKey(target, category)]?.status)
+    .map(status => status === 'skipped' ? 'complete' : status);
+  
+  if (outcomes.every(status => status === 'complete')) return 'complete';
+  if (outcomes.every(status => !status)) return null; // never searched - leave as it was
+  if (outcomes.every(status => status !== 'complete')) return 'failed';
+  return 'partial';
+}
 
-async function runScrapingJob(jobId, job) {
-  const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password);
+// Record each code's own outcome and the leads whose address is actually in it.
+// addedByCode (from addLeadsToLocal) holds the new businesses per code: only those raise
+// a code's leadsCount, so a re-scrape does not count businesses the store already had.
+function updatePostalCodeProgress(job, addedByCode = {}) {
+  const progress = loadScrapeProgress();
+  const now = new Date().toISOString();
+  const ensure = code => {
+    if (!progress.postalCodes[code]) {
+      progress.postalCodes[code] = { status: 'not_started', leadsCount: 0, campaigns: [] };
+    }
+    return progress.postalCodes[code];
+  };
   
-  logEvent('start', 'workflow', `Starting scraping job: ${job.campaignName}`, {
-    jobId,
-    category: job.category,
-    neighborhoods: job.neighborhoods.length
+  // Same targeting rules as the save pipeline, so counts match what gets saved
+  const leadsByFSA = {};
+  let unattributed = 0;
+  job.leads.filter(lead => matchesTargeting(job, lead)).forEach(lead => {
+    if (!lead.fsa) {
+      unattributed++;
+      return;
+    }
+    leadsByFSA[lead.fsa] = (leadsByFSA[lead.fsa] || 0) + 1;
+  });
+  
+  job.postalCodeResults = {};
+  job.neighborhoods.filter(t => t.postalCode).forEach(target => {
+    const status = postalCodeStatus(job, target);
+    if (!status) return;
+    
+    const pc = ensure(target.postalCode);
+    // Never downgrade a code an earlier campaign already covered
+    pc.status = pc.status === 'complete' && status !== 'complete' ? 'complete' : status;
+    pc.lastScraped = now;
+    if (!pc.campaigns.includes(job.campaignName)) {
+      pc.campaigns.push(job.campaignName);
+    }
+    job.postalCodeResults[target.postalCode] = { status, leadsCount: leadsByFSA[target.postalCode] || 0 };
+  });
+  
+  // Maps also returns businesses just outside the searched area - credit them to their own code
+  Object.entries(addedByCode).forEach(([code, count]) => {
+    ensure(code).leadsCount += count;
   });
   
-  for (let i = 0; i < job.neighborhoods.length; i++) {
-    const neighborhood = job.neighborhoods[i];
-    job.currentNeighborhood = neighborhood.name;
-    job.progress = Math.round((i / job.neighborhoods.length) * 100);
+  saveScrapeProgress(progress);
+  logEvent('info', 'progress', `Updated progress for ${Object.keys(job.postalCodeResults).length} postal codes (${Object.keys(leadsByFSA).length} codes received leads, ${unattributed} without a postal code)`, {
+    jobId: job.id,
+    results: job.postalCodeResults,
+    unattributed
+  });
+}
 
-    logEvent('info', 'scraper', `Scraping neighborhood: ${neighborhood.name}`, {
-      jobId,
-      index: i + 1,
-      total: job.neighborhoods.length
-    });
+function distanceKm(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
 
-    try {
-      logEvent('info', 'dataforseo', `API call for: ${neighborhood.location}`, { jobId });
-      
-      const results = await api.searchBusinessListings({
-        location: neighborhood.location,
-        category: job.category,
-        minRating: config.defaults.minRating,
-        limit: job.limit || 100,
-        locationCode: config.defaults.locationCode,
-        languageCode: config.defaults.languageCode,
-      });
+// 'inside' / 'outside' the job's postal codes, or 'unknown' when a lead has neither a
+// postal code in its address nor coordinates. The address postal code wins because
+// the area centers/radii in montreal-areas.json are approximate.
+function geofenceVerdict(job, lead) {
+  if (lead.fsa) {
+    return job.postalCodes.includes(lead.fsa) ? 'inside' : 'outside';
+  }
+  
+  const areas = job.neighborhoods.filter(n => n.center);
+  if (!lead.coordinates || areas.length === 0) return 'unknown';
+  
+  const marginKm = job.geofence.marginKm;
+  const inside = areas.some(n =>
+    distanceKm(n.center, lead.coordinates) <= (n.radiusKm || config.grid.areaRadiusKm) + marginKm
+  );
+  return inside ? 'inside' : 'outside';
+}
 
-      automationLogs.systemStatus.dataforseo = { status: 'connected', lastCheck: new Date().toISOString() };
-      
-      logEvent('success', 'dataforseo', `Found ${results.length} businesses in ${neighborhood.name}`, {
-        jobId,
-        count: results.length
-      });
+// Drop (or just tag) leads that are outside the selected postal codes
+function applyGeofence(job) {
+  if (!job.postalCodes || job.postalCodes.length === 0) return; // legacy neighborhood jobs
+  
+  job.geofence = job.geofence || { ...config.geofence };
+  if (job.geofence.mode === 'off') return;
+  
+  const counts = { inside: 0, outside: 0, unknown: 0 };
+  
+  job.leads.forEach(lead => {
+    lead.geofence = geofenceVerdict(job, lead);
+    lead.outOfArea = lead.geofence === 'outside';
+    counts[lead.geofence]++;
+  });
+  
+  if (job.geofence.mode === 'drop') {
+    job.leads = job.leads.filter(lead => !lead.outOfArea);
+  }
+  
+  job.geofenceSummary = { mode: job.geofence.mode, ...counts, dropped: job.geofence.mode === 'drop' ? counts.outside : 0 };
+  logEvent('info', 'filter', `Geofence: ${counts.inside} inside, ${counts.outside} outside (${job.geofence.mode === 'drop' ? 'dropped' : 'tagged'}), ${counts.unknown} unknown`, {
+    jobId: job.id,
+    ...job.geofenceSummary
+  });
+}
 
-      // Add neighborhood info to each lead
-      const leadsWithNeighborhood = results.map(lead => ({
-        ...lead,
-        neighborhood: neighborhood.name,
-        scrapedAt: new Date().toISOString()
-      }));
+// ============== RE-SCRAPE CHANGE DETECTION ==============
+// area-snapshots.json keeps the places last seen for every (area, category) segment.
+// A re-scrape is diffed against it: new places, places no longer listed, and places
+// that had no website before but have one now. Those last ones are no longer
+// prospects, so their saved leads are taken out of the calling pool.
 
-      job.leads.push(...leadsWithNeighborhood);
-      
-      // Rate limiting between neighborhoods
-      if (i < job.neighborhoods.length - 1) {
-        logEvent('info', 'rate-limiter', 'Waiting 2s before next request...', { jobId });
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    } catch (error) {
-      logEvent('error', 'dataforseo', `Error scraping ${neighborhood.name}: ${error.message}`, {
-        jobId,
-        neighborhood: neighborhood.name,
-        error: error.message,
-        stack: error.stack
-      });
-      
-      automationLogs.systemStatus.dataforseo = { status: 'error', lastCheck: new Date().toISOString(), error: error.message };
-      
-      job.errors.push({
-        neighborhood: neighborhood.name,
-        error: error.message
+// Lead statuses that still get called
+const CALLING_POOL_STATUSES = ['New', 'Queued', 'No Answer', 'Voicemail Left', 'Callback Scheduled', 'Call Later'];
+
+function emptyAreaSnapshots() {
+  return { segments: {} };
+}
+
+function detectScrapeChanges(job) {
+  const now = new Date().toISOString();
+  const searchMode = job.searchMode || 'keyword';
+  const languages = [...jobLanguages(job)].sort().join('+');
+  const changes = { comparedSegments: 0, baselineSegments: 0, shallowSegments: 0, new: [], noLongerListed: [], gainedWebsite: [] };
+  const reported = { new: new Set(), noLongerListed: new Set(), gainedWebsite: new Set() };
+  const report = (type, placeId, entry) => {
+    if (reported[type].has(placeId)) return;
+    reported[type].add(placeId);
+    changes[type].push({ placeId, ...entry });
+  };
+  
+  // Raw results of this run grouped by segment (before cross-area dedupe)
+  const leadsBySegment = {};
+  job.leads.forEach(lead => {
+    if (!lead.placeId) return;
+    const key = `${lead.searchArea}::${lead.searchCategory}`;
+    (leadsBySegment[key] = leadsBySegment[key] || []).push(lead);
+  });
+  
+  updateJsonFile(AREA_SNAPSHOTS_PATH, emptyAreaSnapshots, snapshots => {
+    job.neighborhoods.forEach(target => {
+      (job.plan?.categories || [job.category]).forEach(category => {
+        const key = segmentKey(target, category);
+        if (job.segments?.[key]?.status !== 'complete') return; // a failed search proves nothing
+        
+        const previous = snapshots.segments[key];
+        // A segment that stopped early at the start depth (its area reached the target) only saw the top of the results
+        const depth = job.segments[key].depth ?? null;
+        const shallower = previous && depth !== null && previous.depth != null && depth < previous.depth;
+        // Different search modes, language passes or depths return different result sets - only compare like with like
+        const comparable = previous && previous.searchMode === searchMode && (previous.languages || 'en') === languages && (previous.depth ?? null) === depth;
+        const current = leadsBySegment[key] || [];
+        const places = {};
+        
+        current.forEach(lead => {
+          const before = previous?.places[lead.placeId];
+          places[lead.placeId] = {
+            name: lead.name,
+            phone: lead.phone,
+            hasWebsite: !lacksWebsite(lead),
+            firstSeenAt: before?.firstSeenAt || now,
+            lastSeenAt: now
+          };
+          const entry = { name: lead.name, phone: lead.phone, area: target.name, category };
+          if (comparable && !before) report('new', lead.placeId, entry);
+          if (before && !before.hasWebsite && !lacksWebsite(lead)) report('gainedWebsite', lead.placeId, { ...entry, website: lead.website });
+        });
+        
+        if (comparable) {
+          changes.comparedSegments++;
+          Object.entries(previous.places).forEach(([placeId, place]) => {
+            if (!places[placeId]) report('noLongerListed', placeId, { name: place.name, phone: place.phone, area: target.name, category, lastSeenAt: place.lastSeenAt });
+          });
+        } else if (shallower) {
+          // Keep the deeper snapshot as the baseline; a shallow run would make everything past its cutoff look delisted
+          changes.shallowSegments++;
+          return;
+        } else {
+          changes.baselineSegments++;
+        }
+        
+        snapshots.segments[key] = { searchMode, languages, depth, jobId: job.id, scrapedAt: now, places };
       });
+    });
+  });
+  
+  // Leads saved before snapshots existed are matched by placeId directly
+  const nowWithWebsite = new Map(job.leads.filter(l => l.placeId && !lacksWebsite(l)).map(l => [l.placeId, l]));
+  const updated = [];
+  let removedFromPool = 0;
+  
+  findLeads({ placeIds: [...nowWithWebsite.keys()] }).forEach(saved => {
+    const found = nowWithWebsite.get(saved.placeId);
+    if (!found || !lacksWebsite(saved)) return;
+    
+    report('gainedWebsite', saved.placeId, { name: saved.name, phone: saved.phone, area: found.neighborhood, category: found.searchCategory, website: found.website });
+    saved.website = found.website;
+    saved.websiteType = classifyWebsite(found.website);
+    saved.websiteDetectedAt = now;
+    if (CALLING_POOL_STATUSES.includes(saved.status || 'New')) {
+      saved.previousStatus = saved.status || 'New';
+      saved.status = 'Has Website';
+      removedFromPool++;
     }
+    updated.push(saved);
+  });
+  if (updated.length > 0) {
+    saveLeads(updated);
   }
+  
+  changes.removedFromPool = removedFromPool;
+  job.changes = changes;
+  
+  logEvent('info', 'changes', `Changes since last scrape: ${changes.new.length} new, ${changes.noLongerListed.length} no longer listed, ${changes.gainedWebsite.length} now have a website (${removedFromPool} removed from calling pool)`, {
+    jobId: job.id,
+    comparedSegments: changes.comparedSegments,
+    baselineSegments: changes.baselineSegments,
+    shallowSegments: changes.shallowSegments
+  });
+}
 
-  // Deduplicate by phone
-  logEvent('info', 'deduplication', `Deduplicating ${job.leads.length} leads...`, { jobId });
+// Per-category and per-area counts: searches run, raw results and unique leads kept,
+// plus unique leads by the language passes that found them ("fr", "en", "en+fr")
+function buildJobBreakdown(job) {
+  const categories = job.plan?.categories || [job.category];
+  const byCategory = {};
+  const byArea = {};
+  const byLanguage = {};
   
-  const originalCount = job.leads.length;
-  const seenPhones = new Set();
-  job.leads = job.leads.filter(lead => {
-    if (!lead.phone) return true;
-    const phone = lead.phone.replace(/\D/g, '');
-    if (seenPhones.has(phone)) return false;
-    seenPhones.add(phone);
-    return true;
+  categories.forEach(category => {
+    byCategory[category] = { searched: 0, failed: 0, skipped: 0, found: 0, unique: 0 };
+  });
+  job.neighborhoods.forEach(n => {
+    byArea[n.postalCode || n.id] = { name: n.name, cityName: n.cityName || '', searched: 0, failed: 0, skipped: 0, found: 0, unique: 0 };
   });
   
-  const duplicatesRemoved = originalCount - job.leads.length;
-  logEvent('success', 'deduplication', `Removed ${duplicatesRemoved} duplicates, ${job.leads.length} unique leads`, {
-    jobId,
-    original: originalCount,
-    unique: job.leads.length,
-    duplicates: duplicatesRemoved
+  job.neighborhoods.forEach(n => {
+    categories.forEach(category => {
+      const segment = job.segments?.[segmentKey(n, category)];
+      if (!segment) return;
+      const area = byArea[n.postalCode || n.id];
+      const key = ['failed', 'skipped'].includes(segment.status) ? segment.status : 'searched';
+      byCategory[category][key]++;
+      area[key]++;
+      byCategory[category].found += segment.resultsCount || 0;
+      area.found += segment.resultsCount || 0;
+    });
+  });
+  
+  job.leads.forEach(lead => {
+    if (byCategory[lead.searchCategory]) byCategory[lead.searchCategory].unique++;
+    if (byArea[lead.searchArea]) byArea[lead.searchArea].unique++;
+    const passes = [...(lead.searchLanguages || jobLanguages(job))].sort().join('+');
+    byLanguage[passes] = (byLanguage[passes] || 0) + 1;
   });
+  
+  return { byCategory, byArea, byLanguage };
+}
 
-  job.status = 'completed';
-  job.progress = 100;
-  job.endTime = new Date().toISOString();
+// Record a finished segment and persist the job so it can resume after it
+function checkpointSegment(job, target, category, outcome) {
+  job.segments = job.segments || {};
+  // A retried segment that now went through drops the error of its failed attempt
+  if (isSegmentFailed(job, target, category) && outcome.status !== 'failed') {
+    job.errors = job.errors.filter(e => e.neighborhood !== target.name || e.category !== category);
+  }
+  job.segments[segmentKey(target, category)] = {
+    ...outcome,
+    finishedAt: new Date().toISOString()
+  };
+  job.progress = Math.round((Object.keys(job.segments).length / jobTotalSegments(job)) * 100);
+  job.areaTargets = summarizeAreaTargets(job);
+  publishLive('segment', {
+    jobId: job.id,
+    area: target.postalCode || target.name,
+    category,
+    ...job.segments[segmentKey(target, category)],
+    completedSegments: Object.keys(job.segments).length,
+    totalSegments: jobTotalSegments(job)
+  }, { jobId: job.id, node: 'scraper' });
+  saveJob(job);
+}
+
+// Job ids whose scraping loop is currently alive in this process
+const activeJobRunners = new Set();
+
+function startScrapingJob(job) {
+  if (activeJobRunners.has(job.id)) return;
+  activeJobRunners.add(job.id);
   
-  // Update postal code progress tracking
-  if (job.postalCodes && job.postalCodes.length > 0) {
-    const progress = loadScrapeProgress();
-    const leadsPerPostalCode = Math.ceil(job.leads.length / job.postalCodes.length);
-    
-    job.postalCodes.forEach(code => {
-      if (!progress.postalCodes[code]) {
-        progress.postalCodes[code] = { status: 'not_started', leadsCount: 0, campaigns: [] };
-      }
-      progress.postalCodes[code].status = 'complete';
-      progress.postalCodes[code].leadsCount += leadsPerPostalCode;
-      progress.postalCodes[code].lastScraped = new Date().toISOString();
-      if (!progress.postalCodes[code].campaigns.includes(job.campaignName)) {
-        progress.postalCodes[code].campaigns.push(job.campaignName);
-      }
-    });
-    
-    saveScrapeProgress(progress);
-    logEvent('info', 'progress', `Updated progress for ${job.postalCodes.length} postal codes`, { jobId });
+  const run = job.scrapeMode === 'all_businesses'
+    ? runBroadScrapingJob(job.id, job)
+    : runScrapingJob(job.id, job);
+  run.finally(() => activeJobRunners.delete(job.id));
+}
+
+// ============== JOB CONTROL (cancel / pause / resume) ==============
+// The scraping loops call this between API calls. Blocks while the job is
+// paused and returns true once the job has been cancelled.
+async function shouldStopJob(job) {
+  enforceJobBudget(job);
+  while (job.status === 'paused') {
+    await new Promise(resolve => setTimeout(resolve, 1000));
   }
+  return job.status === 'cancelled';
+}
+
+// Pause a job once its actual spend reaches the per-job or monthly cap
+function enforceJobBudget(job) {
+  if (job.status !== 'running' || job.ignoreBudget) return;
+  const { maxCostPerJob, maxMonthlyCost } = config.budget;
   
-  // AUTO-SAVE leads locally (never lose data!)
-  if (job.leads.length > 0) {
-    const cityName = job.neighborhoods[0]?.cityName || 'Unknown';
-    addLeadsToLocal(job.leads, job.campaignName, cityName, job.postalCodes || []);
+  let reason = null;
+  if (maxCostPerJob > 0 && (job.cost || 0) >= maxCostPerJob) {
+    reason = `job spend $${job.cost.toFixed(2)} reached per-job cap $${maxCostPerJob.toFixed(2)}`;
+  } else if (maxMonthlyCost > 0 && getMonthSpend() >= maxMonthlyCost) {
+    reason = `monthly spend reached cap $${maxMonthlyCost.toFixed(2)}`;
   }
+  if (!reason) return;
   
-  logEvent('complete', 'workflow', `Job completed: ${job.leads.length} leads found`, {
-    jobId,
-    leadsCount: job.leads.length,
-    errorsCount: job.errors.length,
-    duration: Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000) + 's'
+  job.status = 'paused';
+  job.pausedAt = new Date().toISOString();
+  job.pauseReason = reason;
+  saveJob(job);
+  logJob(job);
+  logEvent('warning', 'budget', `Job paused: ${job.campaignName} - ${reason}`, { jobId: job.id, cost: job.cost });
+}
+
+// Run a job's segments with a small pool of workers. The shared scheduler caps how
+// many requests are actually in flight across all jobs; pause/cancel are checked
+// before each segment is picked up.
+async function runSegmentPool(job, segments, worker) {
+  let next = 0;
+  const workerCount = Math.max(1, Math.min(config.scheduler.concurrency || 1, segments.length));
+  
+  const runWorker = async () => {
+    while (next < segments.length) {
+      if (await shouldStopJob(job)) return;
+      if (next >= segments.length) return;
+      await worker(segments[next++]);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+// ============== TARGETING RULES ==============
+// Which businesses a campaign keeps. Jobs carry a rule set (`targeting` on /api/scrape/start,
+// a schedule or a preview); the defaults are the original NO WEBSITE behaviour:
+//   phoneRequired - listings without a phone are dropped (default true)
+//   rating        - { min, max } Google rating; min defaults to defaults.minRating (0 for broad jobs)
+//   reviews       - { min, max } review count
+//   website       - website types to keep (see WEBSITE CLASSIFIER), default websiteClassifier.noRealWebsite
+//   claimed       - true = claimed profiles only, false = unclaimed only, null = any
+//   categories    - { include, exclude } terms matched against the Google category and the searched one
+// Phone and rating are checked as soon as a search returns; the rest when the job's leads are
+// saved. Each rejected lead is counted under the first rule (in TARGETING_RULES order) it fails.
+
+const TARGETING_RULES = ['phone', 'rating', 'reviews', 'website', 'claimed', 'category'];
+const SEARCH_TIME_RULES = ['phone', 'rating'];
+
+function defaultTargeting(scrapeMode = 'category') {
+  return {
+    phoneRequired: true,
+    rating: { min: scrapeMode === 'all_businesses' ? 0 : (config.defaults.minRating || 0), max: null },
+    reviews: { min: null, max: null },
+    website: [...config.websiteClassifier.noRealWebsite],
+    claimed: null,
+    categories: { include: [], exclude: [] }
+  };
+}
+
+// Validate a rule set from a request, filling in the defaults
+function normalizeTargeting(input, scrapeMode) {
+  const rules = defaultTargeting(scrapeMode);
+  if (!input) return rules;
+  if (typeof input !== 'object') throw scrapeRequestError('targeting must be an object', 400);
+  
+  const range = (value, name, max) => {
+    const parsed = {};
+    ['min', 'max'].forEach(bound => {
+      const raw = value?.[bound];
+      if (raw === undefined || raw === null || raw === '') return;
+      const number = parseFloat(raw);
+      if (isNaN(number) || number < 0 || number > max) throw scrapeRequestError(`targeting.${name}.${bound} must be between 0 and ${max}`, 400);
+      parsed[bound] = number;
+    });
+    if (parsed.min !== undefined && parsed.max !== undefined && parsed.min > parsed.max) {
+      throw scrapeRequestError(`targeting.${name}.min is above max`, 400);
+    }
+    return parsed;
+  };
+  const terms = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(term => String(term).trim().toLowerCase()).filter(Boolean);
+  
+  if (input.phoneRequired !== undefined) rules.phoneRequired = !!input.phoneRequired;
+  if (input.rating) rules.rating = { ...rules.rating, ...range(input.rating, 'rating', 5) };
+  if (input.reviews) rules.reviews = { ...rules.reviews, ...range(input.reviews, 'reviews', Infinity) };
+  if (input.website !== undefined) {
+    const types = input.website === 'any' ? [...WEBSITE_TYPES] : (Array.isArray(input.website) ? input.website : [input.website]);
+    const unknown = types.filter(type => !WEBSITE_TYPES.includes(type));
+    if (types.length === 0 || unknown.length > 0) {
+      throw scrapeRequestError(`targeting.website must list website types (${WEBSITE_TYPES.join(', ')}) or be "any"`, 400);
+    }
+    rules.website = types;
+  }
+  if (input.claimed !== undefined) rules.claimed = input.claimed === null || input.claimed === 'any' ? null : !!input.claimed;
+  if (input.categories) {
+    rules.categories = { include: terms(input.categories.include), exclude: terms(input.categories.exclude) };
+  }
+  return rules;
+}
+
+function jobTargeting(job) {
+  return job.targeting || defaultTargeting(job.scrapeMode);
+}
+
+// Rules the campaign should keep once the job's leads are saved: only ones sent with the job
+function campaignTargetingUpdate(job) {
+  return job.targetingSource === 'request' ? jobTargeting(job) : null;
+}
+
+// First rule (of `only`) the lead fails, or null when it matches
+function targetingRejection(rules, lead, only = TARGETING_RULES) {
+  const inRange = (value, { min, max } = {}) => (min == null || value >= min) && (max == null || value <= max);
+  const categoryText = [lead.category, lead.searchCategory].filter(Boolean).join(' | ').toLowerCase();
+  const checks = {
+    phone: () => !rules.phoneRequired || !!lead.phone,
+    rating: () => inRange(lead.rating || 0, rules.rating),
+    reviews: () => inRange(lead.reviewsCount || 0, rules.reviews),
+    website: () => rules.website.includes(classifyWebsite(lead.website)),
+    // Providers that do not report it (Local Finder) never match a claimed / unclaimed rule
+    claimed: () => rules.claimed == null || (lead.isClaimed !== undefined && !!lead.isClaimed === rules.claimed),
+    category: () => {
+      const { include = [], exclude = [] } = rules.categories || {};
+      if (include.length > 0 && !include.some(term => categoryText.includes(term))) return false;
+      return !exclude.some(term => categoryText.includes(term));
+    }
+  };
+  return only.find(rule => !checks[rule]()) || null;
+}
+
+function matchesTargeting(job, lead) {
+  return targetingRejection(jobTargeting(job), lead) === null;
+}
+
+// Save pipeline: evaluate the job's rules on its deduped leads. Sets job.targetingSummary
+// (search-time rejections are counted per search result, before dedupe) and returns the matches.
+function applyTargeting(job) {
+  const rules = jobTargeting(job);
+  const rejected = Object.fromEntries(TARGETING_RULES.map(rule => [rule, 0]));
+  Object.values(job.segments || {}).forEach(segment => {
+    Object.entries(segment.rejected || {}).forEach(([rule, count]) => { rejected[rule] += count; });
   });
   
-  logJob(job);
+  const matched = job.leads.filter(lead => {
+    const rule = targetingRejection(rules, lead);
+    if (rule) rejected[rule]++;
+    return !rule;
+  });
+  
+  job.targetingSummary = { rules, evaluated: job.leads.length, matched: matched.length, rejected };
+  const summary = TARGETING_RULES.filter(rule => rejected[rule] > 0).map(rule => `${rule} ${rejected[rule]}`).join(', ');
+  logEvent('info', 'filter', `Targeting: ${matched.length} of ${job.leads.length} leads match${summary ? ` (rejected: ${summary})` : ''}`, {
+    jobId: job.id,
+    rejected
+  });
+  return matched;
 }
 
-// Broad scraping job - searches multiple categories for comprehensive coverage
-async function runBroadScrapingJob(jobId, job) {
-  const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password);
-  
-  // COMPREHENSIVE category list for maximum B2B coverage
-  const categoriesToSearch = [
-    // Food & Beverage
-    'restaurant',
-    'cafe',
-    'coffee shop',
-    'fast food',
-    'bakery',
-    'bar',
-    'pizzeria',
-    'sushi',
-    'deli',
-    'catering',
-    // Retail
-    'store',
-    'shop',
-    'boutique',
-    'grocery store',
-    'convenience store',
-    'pharmacy',
-    'liquor store',
-    'cannabis dispensary',
-    'florist',
-    'pet store',
-    'clothing store',
-    'electronics store',
-    'furniture store',
-    'hardware store',
-    // Health & Wellness
-    'gym',
-    'fitness center',
-    'yoga studio',
-    'spa',
-    'massage',
-    'physiotherapy',
-    'chiropractor',
-    'dental clinic',
-    'dentist',
-    'medical clinic',
-    'doctor',
-    'veterinarian',
-    'optometrist',
-    // Professional Services
-    'office',
-    'lawyer',
-    'accountant',
-    'notary',
-    'insurance',
-    'real estate',
-    'financial advisor',
-    'consultant',
-    'marketing agency',
-    'advertising',
-    'architect',
-    'engineering',
-    // Personal Care
-    'salon',
-    'hair salon',
-    'barber',
-    'nail salon',
-    'beauty salon',
-    'tattoo',
-    'esthetician',
-    // Automotive & Concessionnaires
-    'car dealership',
-    'concessionnaire',
-    'concessionnaire auto',
-    'concessionnaire automobile',
-    'auto dealer',
-    'used car dealer',
-    'motorcycle dealer',
-    'RV dealer',
-    'truck dealer',
-    'vehicle dealer',
-    'auto repair',
-    'mechanic',
-    'car wash',
-    'tire shop',
-    'auto parts',
-    // Buildings & Property Management (Residential)
-    'apartment building',
-    'residential building',
-    'condo building',
-    'property management',
-    'building management',
-    'syndic',
-    'syndic de copropriété',
-    'immeuble',
-    'immeuble résidentiel',
-    'immeuble à logements',
-    'gestion immobilière',
-    'housing complex',
-    'apartment complex',
-    'condo association',
-    'strata management',
-    'landlord',
-    'property owner',
-    'rental property',
-    'logement',
-    'habitation',
-    // Home Services
-    'plumber',
-    'electrician',
-    'HVAC',
-    'contractor',
-    'renovation',
-    'landscaping',
-    'cleaning service',
-    'locksmith',
-    'moving company',
-    // Education & Childcare
-    'daycare',
-    'school',
-    'tutoring',
-    'driving school',
-    'dance studio',
-    'music school',
-    // Entertainment & Recreation
-    'hotel',
-    'motel',
-    'theater',
-    'bowling',
-    'escape room',
-    'arcade',
-    // Other Business Types
-    'warehouse',
-    'printing',
-    'shipping',
-    'storage',
-    'laundromat',
-    'dry cleaner',
-    'tailor',
-    'jeweler',
-    'photographer',
-    'event venue'
-  ];
+// Same lead pipeline for live searches, polled tasks and postbacks
+function recordSegmentResults(job, neighborhood, category, results) {
+  automationLogs.systemStatus.dataforseo = { status: 'connected', lastCheck: new Date().toISOString() };
+  
+  job.leads.push(...segmentLeads(job, neighborhood, category, results));
+  checkpointSegment(job, neighborhood, category, {
+    status: 'complete',
+    resultsCount: results.length,
+    rawCount: results.rawCount ?? results.length,
+    withoutWebsite: results.filter(lacksWebsite).length,
+    rejected: results.rejected || {},
+    depth: results.depth,
+    passes: results.passes,
+    exhausted: results.exhausted
+  });
   
-  const totalOperations = job.neighborhoods.length * categoriesToSearch.length;
-  let completedOperations = 0;
+  logEvent('success', 'dataforseo', `Found ${results.length} in "${category}" - ${neighborhood.name}`, {
+    jobId: job.id,
+    count: results.length,
+    category
+  });
+}
+
+// Add neighborhood and category info to each lead
+function segmentLeads(job, neighborhood, category, results, scrapedAt = new Date().toISOString()) {
+  return results.map(lead => ({
+    ...lead,
+    neighborhood: neighborhood.name,
+    searchArea: neighborhood.postalCode || neighborhood.id,
+    fsa: extractFSA(lead.address),
+    websiteType: classifyWebsite(lead.website),
+    searchCategory: category,
+    provider: job.provider || DEFAULT_LEAD_PROVIDER,
+    scrapedAt
+  }));
+}
+
+// Only reached once the scheduler has exhausted its retries
+function recordSegmentFailure(job, neighborhood, category, error) {
+  logEvent('error', 'dataforseo', `Error: ${category} in ${neighborhood.name}: ${error.message}`, {
+    jobId: job.id,
+    category,
+    neighborhood: neighborhood.name,
+    error: error.message
+  });
   
-  // Use limit from job or default to 100
-  const limitPerCategory = job.limit || 100;
+  automationLogs.systemStatus.dataforseo = { status: 'error', lastCheck: new Date().toISOString(), error: error.message };
   
-  logEvent('start', 'workflow', `Starting COMPREHENSIVE scraping job: ${job.campaignName}`, {
-    jobId,
-    mode: 'all_businesses',
-    neighborhoods: job.neighborhoods.length,
-    categories: categoriesToSearch.length,
-    totalOperations,
-    limitPerCategory
+  job.errors.push({
+    neighborhood: neighborhood.name,
+    category,
+    error: error.message
+  });
+  checkpointSegment(job, neighborhood, category, { status: 'failed', error: error.message });
+}
+
+// ============== AREA TARGETS ==============
+// job.limit is the number of qualifying leads wanted per area: leads that match the job's
+// targeting rules, are inside the selected areas (unless the geofence is off) and are not
+// duplicates. Live searches start at defaults.startDepth and are searched once more, at the
+// full search depth, only while their area is short of its target; once an area has reached
+// it, its remaining categories are skipped. The deeper pass re-runs the query from the top,
+// so estimateJobCost prices both passes. Queued (task mode) jobs post every segment up front
+// at full depth, so they only report the targets. job.areaTargets holds the outcome per area.
+
+// Area a lead counts towards: its own postal code when that is one of the job's areas
+function leadTargetArea(job, lead) {
+  if (lead.fsa && job.postalCodes?.includes(lead.fsa)) return lead.fsa;
+  return lead.searchArea;
+}
+
+// Area a lead counts towards, or null when it does not qualify (targeting, geofence)
+function qualifyingArea(job, lead) {
+  if (!matchesTargeting(job, lead)) return null;
+  const geofenced = job.postalCodes?.length > 0 && job.geofence?.mode !== 'off';
+  if (geofenced && geofenceVerdict(job, lead) === 'outside') return null;
+  return leadTargetArea(job, lead);
+}
+
+// Running per-area counts of a job, in memory only. Leads are only ever appended to
+// job.leads while a job runs, so each call only looks at the leads added since the last
+// one; a job whose leads were replaced (dedupe, geofence, reprocess) or that was just
+// resumed is counted again from the start.
+const areaTallies = new WeakMap();
+
+function qualifyingLeadsByArea(job) {
+  let tally = areaTallies.get(job);
+  if (!tally || tally.leads !== job.leads) {
+    tally = { leads: job.leads, counted: 0, deduper: createLeadDeduper(), counts: {} };
+    areaTallies.set(job, tally);
+  }
+  for (; tally.counted < job.leads.length; tally.counted++) {
+    const lead = job.leads[tally.counted];
+    if (!tally.deduper.keep(lead)) continue;
+    const area = qualifyingArea(job, lead);
+    if (area) tally.counts[area] = (tally.counts[area] || 0) + 1;
+  }
+  return tally.counts;
+}
+
+// Qualifying leads an area would have with `leads` added, without adding them
+function projectedAreaCount(job, area, leads) {
+  let count = qualifyingLeadsByArea(job)[area] || 0;
+  const deduper = createLeadDeduper(areaTallies.get(job).deduper);
+  leads.forEach(lead => {
+    if (deduper.keep(lead) && qualifyingArea(job, lead) === area) count++;
   });
+  return count;
+}
+
+function areaTargetReached(job, neighborhood) {
+  return (qualifyingLeadsByArea(job)[neighborhood.postalCode || neighborhood.id] || 0) >= job.limit;
+}
+
+// A search that came back (nearly) full probably has more results further down
+function searchCameBackFull(listings, depth, queryCount) {
+  return (listings.rawCount ?? listings.length) >= depth * queryCount * 0.9;
+}
+
+// Same job searched at another depth (keyword depth, or per tile for a grid sweep)
+function withSearchDepth(job, depth) {
+  return { ...job, depth, ...(job.grid ? { grid: { ...job.grid, depthPerTile: depth } } : {}) };
+}
+
+// First depth a live segment is searched at (the full depth when it is never deepened)
+function segmentStartDepth(job, provider) {
+  const fullDepth = job.searchMode === 'grid' ? job.grid.depthPerTile : mapsSearchDepth(job);
+  if (!provider.supportsDeepening || job.fetchMode === 'task') return fullDepth;
+  return Math.min(config.defaults.startDepth || fullDepth, fullDepth);
+}
+
+// Live worker of one (area, category) segment: skip it when the area already has its
+// leads, otherwise search shallow and, if the area is still short, once more at full depth
+async function searchSegmentToTarget(job, api, provider, neighborhood, category) {
+  const area = neighborhood.postalCode || neighborhood.id;
+  if (areaTargetReached(job, neighborhood)) {
+    checkpointSegment(job, neighborhood, category, { status: 'skipped', reason: 'target reached' });
+    logEvent('info', 'scraper', `Skipping "${category}" in ${neighborhood.name} - ${job.limit} leads already kept there`, { jobId: job.id, category });
+    return;
+  }
   
-  for (let i = 0; i < job.neighborhoods.length; i++) {
-    const neighborhood = job.neighborhoods[i];
-    job.currentNeighborhood = neighborhood.name;
-    
-    logEvent('info', 'scraper', `Scraping ALL businesses in: ${neighborhood.name} (${categoriesToSearch.length} categories)`, {
-      jobId,
-      neighborhoodIndex: i + 1,
-      totalNeighborhoods: job.neighborhoods.length
+  const fullDepth = job.searchMode === 'grid' ? job.grid.depthPerTile : mapsSearchDepth(job);
+  const queryCount = provider.searches(job, neighborhood, category).length;
+  let depth = segmentStartDepth(job, provider);
+  let passes = 0;
+  
+  while (true) {
+    const results = await provider.search({
+      api,
+      job: depth === fullDepth ? job : withSearchDepth(job, depth),
+      neighborhood,
+      category,
+      targeting: jobTargeting(job),
+      limit: job.limit
     });
+    passes++;
     
-    for (let c = 0; c < categoriesToSearch.length; c++) {
-      const category = categoriesToSearch[c];
-      job.currentCategory = category;
-      job.progress = Math.round((completedOperations / totalOperations) * 100);
-      
-      try {
-        logEvent('info', 'dataforseo', `Searching: "${category}" in ${neighborhood.location}`, { jobId });
-        
-        const results = await api.searchBusinessListings({
-          location: neighborhood.location,
-          category: category,
-          minRating: 0, // Get all businesses regardless of rating
-          limit: limitPerCategory,
-          locationCode: config.defaults.locationCode,
-          languageCode: config.defaults.languageCode,
-        });
-
-        automationLogs.systemStatus.dataforseo = { status: 'connected', lastCheck: new Date().toISOString() };
-        
-        // Add neighborhood and category info to each lead
-        const leadsWithInfo = results.map(lead => ({
-          ...lead,
-          neighborhood: neighborhood.name,
-          searchCategory: category,
-          scrapedAt: new Date().toISOString()
-        }));
-
-        job.leads.push(...leadsWithInfo);
-        
-        logEvent('success', 'dataforseo', `Found ${results.length} in "${category}" - ${neighborhood.name}`, {
-          jobId,
-          count: results.length,
-          category
-        });
-        
-        completedOperations++;
-        
-        // Rate limiting between API calls (1 second to speed up while staying safe)
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-      } catch (error) {
-        logEvent('error', 'dataforseo', `Error: ${category} in ${neighborhood.name}: ${error.message}`, {
-          jobId,
-          category,
-          neighborhood: neighborhood.name,
-          error: error.message
-        });
-        
-        job.errors.push({
-          neighborhood: neighborhood.name,
-          category,
-          error: error.message
-        });
-        
-        completedOperations++;
-      }
+    const kept = projectedAreaCount(job, area, segmentLeads(job, neighborhood, category, results));
+    const reached = kept >= job.limit;
+    const full = searchCameBackFull(results, depth, queryCount);
+    
+    const done = reached || !full || depth >= fullDepth;
+    
+    // Budget caps (enforceJobBudget) and pause/cancel are checked before paying for the deeper pass
+    if (done || await shouldStopJob(job)) {
+      results.depth = depth;
+      results.passes = passes;
+      results.exhausted = !reached && (!full || depth >= fullDepth);
+      return recordSegmentResults(job, neighborhood, category, results);
     }
     
-    // Longer pause between neighborhoods
-    if (i < job.neighborhoods.length - 1) {
-      logEvent('info', 'rate-limiter', 'Waiting 3s before next neighborhood...', { jobId });
-      await new Promise(resolve => setTimeout(resolve, 3000));
+    // Straight to full depth: every pass re-reads the results from the top, so intermediate
+    // depths would pay for the same pages again
+    logEvent('info', 'scraper', `${neighborhood.name}: ${kept}/${job.limit} leads after "${category}" at depth ${depth} - searching at full depth ${fullDepth}`, { jobId: job.id, category });
+    depth = fullDepth;
+  }
+}
+
+// Per-area outcome: 'reached', 'exhausted' (every category searched, target not met) or
+// 'searching' while categories are left
+function summarizeAreaTargets(job) {
+  const counts = qualifyingLeadsByArea(job);
+  const categories = job.plan?.categories || [job.category];
+  const areaTargets = {};
+  
+  job.neighborhoods.forEach(target => {
+    const area = target.postalCode || target.id;
+    const segments = categories.map(category => job.segments?.[segmentKey(target, category)]).filter(Boolean);
+    const kept = counts[area] || 0;
+    let status = 'searching';
+    if (kept >= job.limit) status = 'reached';
+    else if (segments.length === categories.length) status = 'exhausted';
+    areaTargets[area] = {
+      name: target.name,
+      target: job.limit,
+      kept,
+      status,
+      skippedCategories: segments.filter(segment => segment.status === 'skipped').length,
+      maxDepth: Math.max(0, ...segments.map(segment => segment.depth || 0))
+    };
+  });
+  return areaTargets;
+}
+
+// Final area outcome of a job (after dedupe and geofence); logs the areas that ran dry
+function recordAreaTargets(job) {
+  job.areaTargets = summarizeAreaTargets(job);
+  const exhausted = Object.entries(job.areaTargets).filter(([, area]) => area.status === 'exhausted');
+  exhausted.forEach(([code, area]) => {
+    logEvent('warning', 'scraper', `${area.name || code} ran out of businesses: ${area.kept} of ${area.target} leads`, { jobId: job.id, area: code });
+  });
+}
+
+// ============== ASYNC TASK MODE (task_post / tasks_ready) ==============
+// For big overnight runs: segments are queued on the standard Maps endpoint (much
+// cheaper than live) and collected later, either by polling tasks_ready/task_get
+// or when DataForSEO calls our postback route. Posted task ids are saved on the
+// job, so a restart keeps polling instead of paying for the queries again.
+
+const TASK_POST_BATCH_SIZE = 100; // DataForSEO maximum per task_post call
+
+async function runTaskSegments(job, api, segments) {
+  job.tasks = job.tasks || {}; // { taskId: { key, tile, languageCode, neighborhoodId, category, postedAt, done } }
+  
+  // A segment that failed before a restart is queued again: forget its old tasks
+  const retried = new Set(segments.filter(seg => isSegmentFailed(job, seg.neighborhood, seg.category)).map(seg => segmentKey(seg.neighborhood, seg.category)));
+  for (const [taskId, task] of Object.entries(job.tasks)) {
+    if (retried.has(task.key)) delete job.tasks[taskId];
+  }
+  
+  const alreadyPosted = new Set(Object.values(job.tasks).map(t => `${t.key}#${t.tile || 0}`));
+  const postbackBase = config.taskMode.postbackBaseUrl;
+  
+  // One task per Maps query (one per language pass, × tile for a grid segment)
+  const toPost = [];
+  segments.forEach(seg => {
+    const key = segmentKey(seg.neighborhood, seg.category);
+    const queries = segmentQueries(job, seg.neighborhood, seg.category);
+    queries.forEach((query, tile) => {
+      if (!alreadyPosted.has(`${key}#${tile}`)) {
+        toPost.push({ ...seg, key, query, tile, tiles: queries.length });
+      }
+    });
+  });
+  
+  // Register a task (or a query DataForSEO refused) under its segment
+  const track = (taskId, item) => {
+    job.tasks[taskId] = {
+      key: item.key,
+      tile: item.tile,
+      tiles: item.tiles,
+      languageCode: item.query.languageCode,
+      neighborhoodId: item.neighborhood.id,
+      category: item.category,
+      postedAt: new Date().toISOString(),
+      done: false
+    };
+  };
+  
+  for (let i = 0; i < toPost.length; i += TASK_POST_BATCH_SIZE) {
+    if (await shouldStopJob(job)) return dropOutstandingTasks(job);
+    const batch = toPost.slice(i, i + TASK_POST_BATCH_SIZE);
+    
+    try {
+      const taskIds = await api.postMapsTasks(batch.map(item => ({
+        ...item.query,
+        tag: job.id,
+        postbackUrl: postbackBase ? `${postbackBase}/api/dataforseo/postback/${job.id}` : null
+      })), { category: 'task_post', area: `${batch.length} tasks` });
+      
+      taskIds.forEach((taskId, idx) => {
+        const item = batch[idx];
+        if (!taskId) {
+          track(`rejected-${item.key}#${item.tile}`, item);
+          collectTaskResult(job, `rejected-${item.key}#${item.tile}`, { status_message: 'Task was not accepted by DataForSEO' });
+          return;
+        }
+        track(taskId, item);
+      });
+      saveJob(job);
+      logEvent('info', 'dataforseo', `Queued ${batch.length} Maps tasks (${Math.min(i + TASK_POST_BATCH_SIZE, toPost.length)}/${toPost.length})`, { jobId: job.id });
+    } catch (error) {
+      batch.forEach(item => {
+        track(`rejected-${item.key}#${item.tile}`, item);
+        collectTaskResult(job, `rejected-${item.key}#${item.tile}`, { status_message: error.message });
+      });
+    }
+  }
+  
+  // Poll until every task has been collected (a postback may collect some first)
+  while (Object.values(job.tasks).some(t => !t.done)) {
+    // Also drops the tasks of a batch that was being posted when the job was cancelled
+    if (await shouldStopJob(job)) return dropOutstandingTasks(job);
+    
+    try {
+      const ready = await api.getReadyMapsTasks();
+      for (const { id } of ready) {
+        const task = job.tasks[id];
+        if (!task || task.done) continue;
+        const result = await api.getMapsTask(id);
+        collectTaskResult(job, id, result);
+      }
+    } catch (error) {
+      logEvent('warning', 'dataforseo', `tasks_ready polling failed: ${error.message}`, { jobId: job.id });
+    }
+    
+    const waiting = Object.values(job.tasks).filter(t => !t.done).length;
+    if (waiting > 0) {
+      job.currentNeighborhood = `Waiting for ${waiting} queued tasks`;
+      await new Promise(resolve => setTimeout(resolve, config.taskMode.pollIntervalMs || 60000));
+    }
+  }
+}
+
+// Feed one finished task (from task_get or a postback) into the lead pipeline.
+// Queries of a segment (grid tiles, language passes) are buffered until the last one arrives.
+function collectTaskResult(job, taskId, task) {
+  const entry = job.tasks?.[taskId];
+  if (!entry || entry.done) return false;
+  
+  entry.done = true;
+  entry.collectedAt = new Date().toISOString();
+  
+  job.taskBuffers = job.taskBuffers || {};
+  const buffer = job.taskBuffers[entry.key] = job.taskBuffers[entry.key] || { results: [], failed: 0, error: null };
+  if (!task || task.status_code !== 20000) {
+    buffer.failed++;
+    buffer.error = task?.status_message || 'Task returned no result';
+  } else {
+    buffer.results.push(...withSearchLanguage(mapMapsItems(task.result?.[0]?.items), entry.languageCode || 'en'));
+    const target = job.neighborhoods.find(n => n.id === entry.neighborhoodId);
+    archiveRawTask({ jobId: job.id, area: target?.postalCode || target?.name, category: entry.category, endpoint: '/serp/google/maps/task_get/advanced', task, taskId, languageCode: entry.languageCode || 'en' });
+  }
+  
+  const siblings = Object.values(job.tasks).filter(t => t.key === entry.key);
+  if (siblings.length < (entry.tiles || 1) || siblings.some(t => !t.done)) {
+    saveJob(job);
+    return true;
+  }
+  
+  delete job.taskBuffers[entry.key];
+  const neighborhood = job.neighborhoods.find(n => n.id === entry.neighborhoodId);
+  if (buffer.failed === siblings.length) {
+    recordSegmentFailure(job, neighborhood, entry.category, new Error(buffer.error));
+    return true;
+  }
+  
+  const results = filterCallableListings(mergeListings(buffer.results), jobTargeting(job));
+  recordSegmentResults(job, neighborhood, entry.category, results);
+  return true;
+}
+
+// A cancelled job collects nothing more: its queued tasks are marked done unread
+function dropOutstandingTasks(job) {
+  const now = new Date().toISOString();
+  let dropped = 0;
+  Object.values(job.tasks || {}).forEach(task => {
+    if (task.done) return;
+    task.done = true;
+    task.droppedAt = now;
+    dropped++;
+  });
+  delete job.taskBuffers;
+  return dropped;
+}
+
+// Wrap up a cancelled job that was not asked to keep its leads
+function finishCancelledJob(job) {
+  job.endTime = new Date().toISOString();
+  saveJob(job);
+  
+  logEvent('complete', 'workflow', `Job cancelled: ${job.campaignName} (${job.leads.length} collected leads discarded)`, {
+    jobId: job.id,
+    leadsDiscarded: job.leads.length,
+    duration: Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000) + 's'
+  });
+  
+  logJob(job);
+  pruneFinishedJobs();
+}
+
+// Reload saved jobs on boot so their status stays visible, and resume unfinished ones.
+// Finished jobs are kept as summaries and the ones past jobs.retentionDays are deleted.
+function resumeSavedJobs() {
+  const jobs = loadSavedJobs();
+  let resumed = 0;
+
+  for (const job of jobs) {
+    if (isJobFinished(job)) {
+      scrapingJobs.set(job.id, jobSummary(job));
+      continue;
+    }
+    scrapingJobs.set(job.id, job);
+    
+    // Cancelled right before the shutdown - let the loop wrap it up without new API calls
+    if (job.status === 'cancelled' && !job.endTime) {
+      startScrapingJob(job);
+      continue;
+    }
+    if (job.status !== 'running') continue;
+
+    if (leadProviderFor(job).needsCredentials && (!config.dataforseo.login || !config.dataforseo.password)) {
+      logEvent('warning', 'workflow', `Cannot resume job ${job.id}: DataForSEO credentials not configured`, { jobId: job.id });
+      continue;
+    }
+
+    job.resumeCount = (job.resumeCount || 0) + 1;
+    job.resumedAt = new Date().toISOString();
+    const segments = Object.values(job.segments || {});
+    const done = segments.filter(s => s.status !== 'failed').length;
+    const retried = segments.length - done;
+    logEvent('start', 'workflow', `Resuming job after restart: ${job.campaignName} (${done} segments already done${retried ? `, ${retried} failed to retry` : ''})`, {
+      jobId: job.id,
+      completedSegments: done,
+      retriedSegments: retried,
+      leadsSoFar: job.leads?.length || 0
+    });
+    startScrapingJob(job);
+    resumed++;
+  }
+
+  const pruned = pruneFinishedJobs();
+  if (jobs.length > 0) {
+    console.log(`Loaded ${jobs.length - pruned} saved scrape jobs (${resumed} resumed${pruned ? `, ${pruned} past retention deleted` : ''})`);
+  }
+}
+
+// ============== CATEGORY CATALOG ==============
+// Editable business categories (data/categories.json, seeded from category-catalog.json).
+// The scrape form lists the enabled ones by group and "All businesses" jobs search the
+// enabled ones marked `broad`. Jobs store name.en; French passes search name.fr.
+
+function loadCategoryCatalog() {
+  const { groups, categories } = readJsonFile(CATEGORIES_PATH, () => JSON.parse(readFileSync(CATEGORY_CATALOG_SEED_PATH, 'utf-8')));
+  return { groups, categories };
+}
+
+function saveCategoryCatalog(catalog) {
+  writeJsonFile(CATEGORIES_PATH, catalog);
+  indexCategoryCatalog(catalog);
+}
+
+// Lookup by id, English or French name (lowercase) - segmentQueries runs this per search.
+// English names win over French ones ("concessionnaire auto" is also the French name of "auto dealer").
+const categoryIndex = new Map();
+
+function indexCategoryCatalog(catalog) {
+  categoryIndex.clear();
+  catalog.categories.forEach(entry => {
+    if (entry.name.fr) categoryIndex.set(entry.name.fr.toLowerCase(), entry);
+  });
+  catalog.categories.forEach(entry => {
+    categoryIndex.set(entry.name.en.toLowerCase(), entry);
+    categoryIndex.set(entry.id, entry);
+  });
+}
+
+let categoryCatalog = loadCategoryCatalog();
+indexCategoryCatalog(categoryCatalog);
+
+function findCatalogCategory(name) {
+  return categoryIndex.get((name || '').toLowerCase());
+}
+
+// Categories searched by "All businesses" jobs
+function broadCatalogCategories() {
+  return categoryCatalog.categories.filter(c => c.enabled && c.broad).map(c => c.name.en);
+}
+
+// Validate and copy the editable fields of a category from a request body
+function applyCategoryFields(entry, body) {
+  if (body.name) {
+    entry.name = { ...entry.name, ...body.name };
+  }
+  if (body.group !== undefined) entry.group = body.group;
+  if (body.enabled !== undefined) entry.enabled = !!body.enabled;
+  if (body.broad !== undefined) entry.broad = !!body.broad;
+  if (body.listingsCategory !== undefined) entry.listingsCategory = body.listingsCategory || null;
+  
+  entry.name.en = (entry.name.en || '').trim();
+  entry.name.fr = (entry.name.fr || '').trim() || entry.name.en;
+  if (!entry.name.en) throw new Error('English name (name.en) is required');
+  if (!categoryCatalog.groups.some(g => g.id === entry.group)) throw new Error(`Unknown group "${entry.group}"`);
+  
+  const clash = categoryCatalog.categories.find(c => c.name.en.toLowerCase() === entry.name.en.toLowerCase());
+  if (clash && clash.id !== entry.id) throw new Error(`"${entry.name.en}" is already in the catalog (${clash.id})`);
+  return entry;
+}
+
+app.get('/api/categories', requireAuth, (req, res) => {
+  const enabledOnly = req.query.enabled === 'true';
+  res.json({
+    groups: categoryCatalog.groups,
+    categories: enabledOnly ? categoryCatalog.categories.filter(c => c.enabled) : categoryCatalog.categories
+  });
+});
+
+app.post('/api/categories', requireAuth, (req, res) => {
+  try {
+    const entry = applyCategoryFields({ id: businessCategorySlug(req.body.name?.en || ''), group: 'other', name: {}, enabled: true, broad: false, source: 'custom' }, req.body);
+    if (!entry.id || categoryCatalog.categories.some(c => c.id === entry.id)) {
+      throw new Error(`Category id "${entry.id}" is already used`);
+    }
+    categoryCatalog.categories.push(entry);
+    saveCategoryCatalog(categoryCatalog);
+    res.json({ success: true, category: entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/categories/:id', requireAuth, (req, res) => {
+  const entry = categoryCatalog.categories.find(c => c.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+  try {
+    const updated = applyCategoryFields({ ...entry, name: { ...entry.name } }, req.body);
+    Object.assign(entry, updated);
+    saveCategoryCatalog(categoryCatalog);
+    res.json({ success: true, category: entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/categories/:id', requireAuth, (req, res) => {
+  const before = categoryCatalog.categories.length;
+  categoryCatalog.categories = categoryCatalog.categories.filter(c => c.id !== req.params.id);
+  if (categoryCatalog.categories.length === before) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+  saveCategoryCatalog(categoryCatalog);
+  res.json({ success: true });
+});
+
+// Create a group or rename an existing one: { id, name: { en, fr } }
+app.post('/api/categories/groups', requireAuth, (req, res) => {
+  const { name = {} } = req.body;
+  const id = req.body.id || businessCategorySlug(name.en || '');
+  if (!id || !name.en) {
+    return res.status(400).json({ error: 'Group name (name.en) is required' });
+  }
+  
+  let group = categoryCatalog.groups.find(g => g.id === id);
+  if (group) {
+    group.name = { ...group.name, ...name };
+  } else {
+    group = { id, name: { en: name.en, fr: name.fr || name.en } };
+    categoryCatalog.groups.push(group);
+  }
+  saveCategoryCatalog(categoryCatalog);
+  res.json({ success: true, group });
+});
+
+app.delete('/api/categories/groups/:id', requireAuth, (req, res) => {
+  const used = categoryCatalog.categories.filter(c => c.group === req.params.id).length;
+  if (used > 0) {
+    return res.status(400).json({ error: `Group still has ${used} categories` });
+  }
+  categoryCatalog.groups = categoryCatalog.groups.filter(g => g.id !== req.params.id);
+  saveCategoryCatalog(categoryCatalog);
+  res.json({ success: true });
+});
+
+// Pull DataForSEO's Business Listings categories into the catalog. New ones are added
+// disabled under "imported"; existing ones learn their Business Listings id.
+app.post('/api/categories/import', requireAuth, async (req, res) => {
+  if (!config.dataforseo.login || !config.dataforseo.password) {
+    return res.status(400).json({ error: 'DataForSEO credentials not configured' });
+  }
+  
+  try {
+    const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password, { campaignName: 'Category import' });
+    const client = new ScheduledDataForSEOClient(api, { category: 'business_listings/categories' });
+    const imported = await client.getBusinessListingsCategories();
+    
+    if (!categoryCatalog.groups.some(g => g.id === 'imported')) {
+      categoryCatalog.groups.push({ id: 'imported', name: { en: 'Imported from Business Listings', fr: 'Importées de Business Listings' } });
+    }
+    
+    let added = 0;
+    let matched = 0;
+    imported.forEach(item => {
+      const listingsCategory = typeof item === 'string' ? item : item.category_name;
+      if (!listingsCategory) return;
+      const name = listingsCategory.replace(/_/g, ' ');
+      
+      const existing = findCatalogCategory(name) || findCatalogCategory(businessCategorySlug(listingsCategory));
+      if (existing) {
+        existing.listingsCategory = existing.listingsCategory || listingsCategory;
+        matched++;
+        return;
+      }
+      const entry = { id: businessCategorySlug(listingsCategory), group: 'imported', name: { en: name, fr: name }, enabled: false, broad: false, listingsCategory, source: 'business_listings' };
+      categoryCatalog.categories.push(entry);
+      categoryIndex.set(entry.id, entry); // later items may match this one
+      added++;
+    });
+    
+    saveCategoryCatalog(categoryCatalog);
+    logEvent('success', 'categories', `Imported Business Listings categories: ${added} added, ${matched} already in the catalog`);
+    res.json({ success: true, total: imported.length, added, matched });
+  } catch (error) {
+    logEvent('error', 'categories', `Category import failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/scrape/start', requireAuth, async (req, res) => {
+  try {
+    res.json(await launchScrapeJob(req.body));
+  } catch (error) {
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.estimate ? { estimate: error.estimate } : {}) });
+  }
+});
+
+// Errors that map to a response status (400 bad request, 402 over budget)
+function scrapeRequestError(message, httpStatus, extra = {}) {
+  return Object.assign(new Error(message), { httpStatus }, extra);
+}
+
+// Validate the options of a scrape job and build it (targets, plan, grid tiles) without
+// starting it. Shared by launchScrapeJob and the dry-run preview.
+// `trigger` records what launched the job ('manual', 'schedule', 'auto-scrape').
+function buildScrapeJob(options) {
+  const { category, categories: requestedCategories, campaignName, neighborhoods: selectedIds, scrapeMode = 'category', postalCodes, cityId, locations, limit, fetchMode = 'live', searchMode = 'keyword', grid = {}, geofence, languages, prioritizeByYield = false, provider: providerId = DEFAULT_LEAD_PROVIDER, targeting, trigger = 'manual', scheduleId = null } = options;
+  
+  const provider = LEAD_PROVIDERS[providerId];
+  if (!provider) {
+    throw scrapeRequestError(`Unknown lead provider "${providerId}" (available: ${Object.keys(LEAD_PROVIDERS).join(', ')})`, 400);
+  }
+  if (provider.needsCredentials && (!config.dataforseo.login || !config.dataforseo.password)) {
+    throw scrapeRequestError('DataForSEO credentials not configured', 400);
+  }
+  if (fetchMode === 'task' && !provider.supportsTaskMode) {
+    throw scrapeRequestError(`${provider.label} does not support task mode`, 400);
+  }
+  if (searchMode === 'grid' && !provider.supportsGrid) {
+    throw scrapeRequestError(`${provider.label} does not support grid sweep`, 400);
+  }
+  // No rules on the request: an existing campaign keeps searching with the rules it has saved
+  const savedTargeting = targeting ? null : findCampaign(campaignName)?.targeting;
+  const targetingRules = savedTargeting || normalizeTargeting(targeting, scrapeMode);
+
+  // Language passes, e.g. ["fr", "en"] to search every category in French and English
+  const searchLanguages = [...new Set(Array.isArray(languages) && languages.length > 0 ? languages : [config.defaults.languageCode || 'en'])];
+  const unsupported = searchLanguages.filter(lang => !SEARCH_LANGUAGES.includes(lang));
+  if (unsupported.length > 0) {
+    throw scrapeRequestError(`Unsupported search language: ${unsupported.join(', ')} (available: ${SEARCH_LANGUAGES.join(', ')})`, 400);
+  }
+  if (searchLanguages.length > 1 && !provider.supportsLanguages) {
+    throw scrapeRequestError(`${provider.label} does not support several language passes`, 400);
+  }
+
+  // One campaign can cover several categories: `categories: [...]` (or legacy `category`)
+  const categories = [...new Set((Array.isArray(requestedCategories) ? requestedCategories : [category]).filter(Boolean))];
+  if (scrapeMode !== 'all_businesses' && categories.length === 0) {
+    throw scrapeRequestError('No categories selected', 400);
+  }
+  if (scrapeMode === 'all_businesses' && broadCatalogCategories().length === 0) {
+    throw scrapeRequestError('No enabled categories are marked for "All businesses" scrapes', 400);
+  }
+  
+  // Broad jobs can search their best categories first and leave out proven low-yield ones
+  const yieldPlan = scrapeMode === 'all_businesses' && prioritizeByYield ? prioritizeCategories(broadCatalogCategories()) : null;
+  if (yieldPlan && yieldPlan.categories.length === 0) {
+    throw scrapeRequestError(`Every broad category is below ${config.yield.minLeadsPerSearch} leads per search`, 400);
+  }
+
+  // ...and several cities: `locations: [{ cityId, postalCodes }]` (or legacy `cityId` + `postalCodes`)
+  const selections = Array.isArray(locations) && locations.length > 0
+    ? locations
+    : (postalCodes && postalCodes.length > 0 ? [{ cityId, postalCodes }] : []);
+
+  // Support both old neighborhoods system and new postal code system
+  let targets = [];
+  
+  if (selections.length > 0) {
+    // New postal code based scraping
+    targets = buildPostalCodeTargets(selections);
+  } else if (selectedIds && selectedIds.length > 0) {
+    // Legacy neighborhood system
+    const neighborhoodData = loadNeighborhoods();
+    targets = neighborhoodData.neighborhoods
+      .filter(n => selectedIds.includes(n.id))
+      .map(n => ({ ...n, postalCode: null }));
+  }
+
+  if (targets.length === 0) {
+    throw scrapeRequestError('No locations selected', 400);
+  }
+
+  let jobId = Date.now().toString();
+  while (scrapingJobs.has(jobId)) jobId = (Number(jobId) + 1).toString(); // schedules can fire together
+  const cityIds = [...new Set(targets.map(t => t.cityId).filter(Boolean))];
+  const job = {
+    id: jobId,
+    status: 'running',
+    category: scrapeMode === 'all_businesses' ? 'All businesses' : categories.join(', '),
+    scrapeMode, // 'category', 'all_businesses'
+    provider: providerId, // key of LEAD_PROVIDERS
+    fetchMode: fetchMode === 'task' ? 'task' : 'live', // 'live' = Maps live endpoint, 'task' = task_post queue
+    searchMode: searchMode === 'grid' ? 'grid' : 'keyword', // 'grid' = location_coordinate tiles
+    languages: searchLanguages,
+    geofence: { ...config.geofence, ...(['drop', 'tag', 'off'].includes(geofence) ? { mode: geofence } : {}) },
+    targeting: targetingRules, // see TARGETING RULES
+    targetingSource: targeting ? 'request' : (savedTargeting ? 'campaign' : 'default'),
+    campaignName,
+    trigger,
+    scheduleId,
+    cityId: cityIds[0] || cityId,
+    cityIds,
+    postalCodes: targets.filter(t => t.postalCode).map(t => t.postalCode),
+    neighborhoods: targets, // Now called targets internally
+    limit: parseInt(limit) || config.defaults.limitPerNeighborhood || 100, // Qualifying leads wanted per area (see AREA TARGETS)
+    progress: 0,
+    totalNeighborhoods: targets.length,
+    currentNeighborhood: '',
+    currentCategory: '',
+    // Fixed plan so a resumed job searches exactly the same segments
+    plan: {
+      categories: yieldPlan ? yieldPlan.categories : (scrapeMode === 'all_businesses' ? broadCatalogCategories() : categories),
+      skippedCategories: yieldPlan ? yieldPlan.skipped : []
+    },
+    prioritizeByYield: !!yieldPlan,
+    segments: {}, // { "H2T::restaurant": { status, resultsCount, finishedAt } }
+    leads: [],
+    errors: [],
+    startTime: new Date().toISOString()
+  };
+
+  // Tiles are fixed when the job is created so a resumed job sweeps the same points
+  if (job.searchMode === 'grid') {
+    job.grid = { ...config.grid };
+    Object.keys(job.grid).forEach(key => {
+      if (grid[key] !== undefined && !isNaN(parseFloat(grid[key]))) job.grid[key] = parseFloat(grid[key]);
+    });
+    job.grid.spacingKm = Math.max(0.2, job.grid.spacingKm); // keeps the tile count sane
+    const missing = [];
+    job.neighborhoods.forEach(target => {
+      if (!target.center) {
+        missing.push(target.postalCode || target.name);
+        return;
+      }
+      target.gridTiles = buildGridTiles(target.center, target.radiusKm || job.grid.areaRadiusKm, job.grid.spacingKm);
+    });
+    if (missing.length > 0) {
+      logEvent('warning', 'scraper', `No coordinates for ${missing.join(', ')} - using keyword search there`, { jobId });
+    }
+  }
+
+  return job;
+}
+
+// Validate, price and start a scrape job. Shared by /api/scrape/start and the schedules.
+async function launchScrapeJob(options) {
+  const { campaignName, estimateOnly = false, ignoreBudget = false } = options;
+  const job = buildScrapeJob(options);
+  const jobId = job.id;
+
+  // Price the job before spending anything
+  const estimate = await estimateJobCost(job);
+  if (estimateOnly) {
+    return { status: 'estimate', estimate };
+  }
+  if (!estimate.withinBudget && !ignoreBudget) {
+    logEvent('warning', 'budget', `Job refused for ${campaignName}: ${estimate.problems.join('; ')}`, { estimate });
+    throw scrapeRequestError('Job exceeds budget', 402, { estimate });
+  }
+  job.estimate = estimate;
+  job.ignoreBudget = !!ignoreBudget;
+  job.cost = 0;
+
+  scrapingJobs.set(jobId, job);
+  saveJob(job);
+
+  // Start scraping in background based on mode
+  startScrapingJob(job);
+
+  return { jobId, status: 'started', estimate };
+}
+
+// ============== DRY-RUN PREVIEW ==============
+// Runs one category in one sample area at a small depth before committing to a full job,
+// and projects the result onto the whole selection. Nothing is saved: no job file, no
+// local leads, no postal code progress, snapshots or yield stats. The searches are still
+// billed, so they are recorded in the spend ledger under a "Preview" campaign, and a
+// preview of a job over budget is refused like the job itself (unless ignoreBudget).
+// A grid preview searches only the tile at the center of the sample area.
+
+const PREVIEW_DEFAULT_DEPTH = 100;
+const PREVIEW_SAMPLE_LEADS = 20;
+
+async function previewScrape(options) {
+  const { previewCategory, sampleArea, previewDepth, ignoreBudget = false } = options;
+  const job = buildScrapeJob(options);
+  job.id = `preview-${job.id}`;
+  const provider = leadProviderFor(job);
+  
+  const category = previewCategory || job.plan.categories[0];
+  const target = sampleArea
+    ? job.neighborhoods.find(n => n.postalCode === sampleArea || n.id === sampleArea)
+    : job.neighborhoods[0];
+  if (!target) {
+    throw scrapeRequestError(`Sample area ${sampleArea} is not in the selection`, 400);
+  }
+  
+  const estimate = await estimateJobCost(job);
+  if (!estimate.withinBudget && !ignoreBudget) {
+    logEvent('warning', 'budget', `Preview refused for ${job.campaignName || category}: ${estimate.problems.join('; ')}`, { estimate });
+    throw scrapeRequestError('Job exceeds budget', 402, { estimate });
+  }
+  
+  // Same search as the full job, only shallower (and on one tile of a grid)
+  const fullDepth = job.searchMode === 'grid' ? job.grid.depthPerTile : mapsSearchDepth(job);
+  const depth = Math.max(10, Math.min(parseInt(previewDepth) || PREVIEW_DEFAULT_DEPTH, fullDepth));
+  const sampleJob = withSearchDepth(job, depth);
+  const tiles = job.searchMode === 'grid' ? target.gridTiles?.length || 1 : 1;
+  const sampleTarget = tiles > 1 ? { ...target, gridTiles: [centerGridTile(target)] } : target;
+  
+  logEvent('info', 'preview', `Preview: "${category}" in ${target.postalCode || target.name} (depth ${depth}${tiles > 1 ? `, 1 of ${tiles} tiles` : ''})`);
+  const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password, {
+    jobId: sampleJob.id,
+    campaignName: `Preview: ${job.campaignName || category}`
+  });
+  const listings = await provider.search({ api, job: sampleJob, neighborhood: sampleTarget, category, targeting: jobTargeting(job), limit: job.limit });
+  
+  const results = listings.rawCount ?? listings.length;
+  const withoutWebsite = listings.filter(lacksWebsite);
+  // Projected from the leads the job's targeting rules would keep
+  const rules = jobTargeting(job);
+  const rejectedBy = lead => targetingRejection(rules, { ...lead, searchCategory: category });
+  const matching = listings.filter(lead => !rejectedBy(lead));
+  // Leads the full job's geofence would drop are not counted in the projection
+  const geofenced = job.postalCodes.length > 0 && job.geofence.mode !== 'off';
+  const outsideArea = geofenced ? matching.filter(lead => geofenceVerdict(job, { ...lead, fsa: extractFSA(lead.address) }) === 'outside').length : 0;
+  const keptPerSearch = matching.length - (job.geofence.mode === 'drop' ? outsideArea : 0);
+  const cost = spendEntries(sampleJob.id).reduce((sum, e) => sum + e.cost, 0);
+  const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+  
+  // A query that came back full probably has more results at the job's real depth
+  const saturated = searchCameBackFull(listings, depth, provider.searches(sampleJob, sampleTarget, category).length);
+  const scale = saturated ? fullDepth / depth : 1;
+  const segments = job.neighborhoods.length * job.plan.categories.length;
+  // One tile stands for the whole area (overlapping tiles make this an upper bound)
+  const leadsPerSearch = keptPerSearch * scale * tiles;
+  // Areas stop being searched once they reach their target (job.limit) - see AREA TARGETS
+  const projectedLeads = Math.min(Math.round(leadsPerSearch * segments), job.limit * job.neighborhoods.length);
+  const history = loadYieldStats().categories[category];
+  
+  return {
+    category,
+    area: { code: target.postalCode || target.id, name: target.name },
+    depth,
+    fullDepth,
+    tiles: { sampled: 1, total: tiles },
+    targeting: rules,
+    sample: {
+      results,
+      withPhone: listings.length,
+      withWebsite: listings.length - withoutWebsite.length,
+      withoutWebsite: withoutWebsite.length,
+      matching: matching.length,
+      rejected: listings.rejected || {},
+      outsideArea,
+      noWebsiteRatio: listings.length ? round(withoutWebsite.length / listings.length, 2) : null,
+      cost: round(cost),
+      leads: listings.slice(0, PREVIEW_SAMPLE_LEADS).map(lead => ({
+        name: lead.name,
+        phone: lead.phone,
+        website: lead.website || null,
+        websiteType: classifyWebsite(lead.website),
+        hasWebsite: !lacksWebsite(lead),
+        rejectedBy: rejectedBy(lead),
+        address: lead.address,
+        fsa: extractFSA(lead.address),
+        rating: lead.rating,
+        reviewsCount: lead.reviewsCount
+      }))
+    },
+    // Before dedupe across areas and categories, so an upper bound for multi-category selections
+    projection: {
+      segments,
+      saturated,
+      leadsPerSearch: round(leadsPerSearch, 2),
+      projectedLeads,
+      projectedCost: estimate.estimatedCost,
+      costPerLead: projectedLeads ? round(estimate.estimatedCost / projectedLeads) : null,
+      history: history ? {
+        searches: history.searches,
+        leadsPerSearch: history.searches ? round(history.kept / history.searches, 2) : null,
+        projectedLeads: history.searches ? Math.round((history.kept / history.searches) * segments) : null
+      } : null
+    },
+    estimate
+  };
+}
+
+app.post('/api/scrape/preview', requireAuth, async (req, res) => {
+  try {
+    res.json(await previewScrape(req.body));
+  } catch (error) {
+    if (error.httpStatus !== 402) logEvent('error', 'preview', `Preview failed: ${error.message}`);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.estimate ? { estimate: error.estimate } : {}) });
+  }
+});
+
+async function runScrapingJob(jobId, job) {
+  const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password, { jobId, campaignName: job.campaignName });
+  const provider = leadProviderFor(job);
+  
+  const categories = job.plan?.categories || [job.category];
+  
+  logEvent('start', 'workflow', `Starting scraping job: ${job.campaignName}`, {
+    jobId,
+    categories,
+    neighborhoods: job.neighborhoods.length
+  });
+  
+  // Every (area, category) pair not already searched before a restart
+  const pending = [];
+  categories.forEach(category => {
+    job.neighborhoods.forEach((neighborhood, index) => {
+      if (!isSegmentDone(job, neighborhood, category)) {
+        pending.push({ neighborhood, category, index });
+      }
+    });
+  });
+  
+  if (job.fetchMode === 'task') {
+    await runTaskSegments(job, api, pending);
+  } else {
+    await runSegmentPool(job, pending, async ({ neighborhood, category, index }) => {
+      job.currentNeighborhood = neighborhood.name;
+      job.currentCategory = category;
+
+      logEvent('info', 'scraper', `Scraping neighborhood: ${neighborhood.name} (${category})`, {
+        jobId,
+        index: index + 1,
+        total: job.neighborhoods.length
+      });
+
+      try {
+        logEvent('info', 'dataforseo', `API call for: ${neighborhood.location}`, { jobId });
+        await searchSegmentToTarget(job, api, provider, neighborhood, category);
+      } catch (error) {
+        recordSegmentFailure(job, neighborhood, category, error);
+      }
+    });
+  }
+
+  return finishScrapeJob(job);
+}
+
+// Broad scraping job - searches multiple categories for comprehensive coverage
+async function runBroadScrapingJob(jobId, job) {
+  const api = new DataForSEOAPI(config.dataforseo.login, config.dataforseo.password, { jobId, campaignName: job.campaignName });
+  const provider = leadProviderFor(job);
+  const categoriesToSearch = job.plan?.categories || broadCatalogCategories();
+  
+  const totalOperations = job.neighborhoods.length * categoriesToSearch.length;
+  
+  logEvent('start', 'workflow', `Starting COMPREHENSIVE scraping job: ${job.campaignName}`, {
+    jobId,
+    mode: 'all_businesses',
+    neighborhoods: job.neighborhoods.length,
+    categories: categoriesToSearch.length,
+    totalOperations,
+    leadsPerArea: job.limit
+  });
+  
+  // Every (area, category) pair not already searched before a restart
+  const pending = [];
+  job.neighborhoods.forEach((neighborhood, i) => {
+    categoriesToSearch.forEach((category, c) => {
+      if (!isSegmentDone(job, neighborhood, category)) {
+        pending.push({ neighborhood, category, neighborhoodIndex: i, categoryIndex: c });
+      }
+    });
+  });
+  
+  if (job.fetchMode === 'task') {
+    await runTaskSegments(job, api, pending);
+  } else {
+    await runSegmentPool(job, pending, async ({ neighborhood, category, neighborhoodIndex, categoryIndex }) => {
+      job.currentNeighborhood = neighborhood.name;
+      job.currentCategory = category;
+      
+      if (categoryIndex === 0) {
+        logEvent('info', 'scraper', `Scraping ALL businesses in: ${neighborhood.name} (${categoriesToSearch.length} categories)`, {
+          jobId,
+          neighborhoodIndex: neighborhoodIndex + 1,
+          totalNeighborhoods: job.neighborhoods.length
+        });
+      }
+      
+      try {
+        logEvent('info', 'dataforseo', `Searching: "${category}" in ${neighborhood.location}`, { jobId });
+        await searchSegmentToTarget(job, api, provider, neighborhood, category); // Broad jobs default to any rating
+      } catch (error) {
+        recordSegmentFailure(job, neighborhood, category, error);
+      }
+    });
+  }
+
+  return finishScrapeJob(job, { broad: true });
+}
+
+// Shared end of both runners, once every segment is searched or the job was cancelled:
+// dedupe, change detection, geofence, area targets and targeting, then (real providers
+// only) yield stats, the local save and postal code progress.
+function finishScrapeJob(job, { broad = false } = {}) {
+  const jobId = job.id;
+  const provider = leadProviderFor(job);
+  
+  if (job.status === 'cancelled' && !job.keepLeadsOnCancel) {
+    return finishCancelledJob(job);
+  }
+
+  // Compare each area with its previous scrape before leads are merged across areas
+  if (!provider.offline) detectScrapeChanges(job);
+
+  // Deduplicate across every category and area of the run
+  logEvent('info', 'deduplication', `Deduplicating ${job.leads.length} leads${broad ? ' from broad search' : ''}...`, { jobId });
+  dedupeJobLeads(job);
+  applyGeofence(job);
+  recordAreaTargets(job);
+
+  job.breakdown = buildJobBreakdown(job);
+
+  // A cancelled job that keeps its leads stays 'cancelled'; unfinished codes count as partial
+  const cancelled = job.status === 'cancelled';
+  if (!cancelled) {
+    job.status = 'completed';
+    job.progress = 100;
+  }
+  job.endTime = new Date().toISOString();
+  const targeted = applyTargeting(job);
+  
+  // Canned fixture results stay on the job - they never touch postal code progress or the pool
+  if (provider.offline) {
+    logEvent('info', 'scraper', `Offline provider "${job.provider}" - ${job.leads.length} leads kept on the job only`, { jobId });
+  } else {
+    recordJobYield(job);
+    
+    // AUTO-SAVE leads locally (never lose data!)
+    let saved = null;
+    if (job.leads.length > 0) {
+      const cityName = jobCityNames(job) || 'Unknown';
+      saved = addLeadsToLocal(targeted, job.campaignName, cityName, job.postalCodes || [], campaignTargetingUpdate(job), job.id);
+      job.leadsSaved = saved.added;
+      job.leadsMerged = saved.merged;
+    }
+    
+    // Update postal code progress tracking (after the save, which knows the new businesses)
+    if (job.postalCodes && job.postalCodes.length > 0) {
+      updatePostalCodeProgress(job, saved?.addedByCode);
+    }
+  }
+  saveJob(job);
+  
+  const outcome = cancelled ? 'cancelled' : 'completed';
+  logEvent('complete', 'workflow', broad ? `BROAD scraping ${outcome}: ${job.leads.length} unique leads found` : `Job ${outcome}: ${job.leads.length} leads found`, {
+    jobId,
+    leadsCount: job.leads.length,
+    errorsCount: job.errors.length,
+    duration: Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000) + 's',
+    ...(broad ? { mode: 'all_businesses' } : {})
+  });
+  
+  logJob(job);
+  pruneFinishedJobs();
+}
+
+// Lead providers a job can use (for the scrape form)
+app.get('/api/providers', requireAuth, (req, res) => {
+  res.json({
+    default: DEFAULT_LEAD_PROVIDER,
+    providers: Object.entries(LEAD_PROVIDERS).map(([id, provider]) => ({
+      id,
+      label: provider.label,
+      needsCredentials: provider.needsCredentials,
+      offline: !!provider.offline,
+      supportsTaskMode: provider.supportsTaskMode,
+      supportsGrid: provider.supportsGrid,
+      supportsLanguages: provider.supportsLanguages
+    }))
+  });
+});
+
+app.get('/api/scrape/status/:jobId', requireAuth, (req, res) => {
+  const { jobId } = req.params;
+  const job = scrapingJobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(scrapeJobStatus(job));
+});
+
+// Status payload of a scrape job (status route and 'scrape-job' live events)
+function scrapeJobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    currentNeighborhood: job.currentNeighborhood,
+    totalNeighborhoods: job.totalNeighborhoods,
+    leadsCount: jobLeadsCount(job),
+    errorsCount: job.errors.length,
+    completedSegments: Object.keys(job.segments || {}).length,
+    totalSegments: jobTotalSegments(job),
+    provider: job.provider || DEFAULT_LEAD_PROVIDER,
+    fetchMode: job.fetchMode || 'live',
+    searchMode: job.searchMode || 'keyword',
+    languages: jobLanguages(job),
+    trigger: job.trigger || 'manual',
+    gridTiles: job.searchMode === 'grid' ? job.neighborhoods.reduce((sum, n) => sum + (n.gridTiles?.length || 0), 0) : null,
+    categories: job.plan?.categories || [job.category],
+    skippedCategories: job.plan?.skippedCategories || [],
+    cityIds: job.cityIds || [job.cityId].filter(Boolean),
+    currentCategory: job.currentCategory,
+    breakdown: job.breakdown || (job.leads ? buildJobBreakdown(job) : null),
+    postalCodeResults: job.postalCodeResults || null,
+    geofence: job.geofenceSummary || null,
+    targeting: job.targetingSummary || null,
+    leadsPerArea: job.limit,
+    areaTargets: job.areaTargets || null,
+    saved: job.leadsSaved !== undefined ? { added: job.leadsSaved, merged: job.leadsMerged || 0 } : null,
+    changes: job.changes ? {
+      comparedSegments: job.changes.comparedSegments,
+      baselineSegments: job.changes.baselineSegments,
+      shallowSegments: job.changes.shallowSegments || 0,
+      new: job.changes.new.length,
+      noLongerListed: job.changes.noLongerListed.length,
+      gainedWebsite: job.changes.gainedWebsite.length,
+      removedFromPool: job.changes.removedFromPool
+    } : null,
+    tasksPosted: job.tasks ? Object.keys(job.tasks).length : 0,
+    tasksCollected: job.tasks ? Object.values(job.tasks).filter(t => t.done).length : 0,
+    resumeCount: job.resumeCount || 0,
+    estimatedCost: job.estimate?.estimatedCost ?? null,
+    cost: job.cost || 0,
+    pauseReason: job.pauseReason || null,
+    keepLeads: job.status === 'cancelled' ? !!job.keepLeadsOnCancel : undefined,
+    startTime: job.startTime,
+    endTime: job.endTime
+  };
+}
+
+// Full change lists of a re-scrape (new / no longer listed / gained a website)
+app.get('/api/scrape/:jobId/changes', requireAuth, (req, res) => {
+  const job = scrapingJobs.get(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!job.changes) {
+    return res.status(400).json({ error: 'Changes are computed when the job finishes' });
+  }
+  
+  res.json({ jobId: job.id, campaignName: job.campaignName, ...job.changes });
+});
+
+// Cancel a running or paused job. Body: { keepLeads: true } saves what was already collected
+app.post('/api/scrape/:jobId/cancel', requireAuth, (req, res) => {
+  const { jobId } = req.params;
+  const { keepLeads = false } = req.body || {};
+  const job = scrapingJobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'running' && job.status !== 'paused') {
+    return res.status(400).json({ error: `Cannot cancel a job that is ${job.status}` });
+  }
+
+  job.status = 'cancelled';
+  job.keepLeadsOnCancel = !!keepLeads;
+  job.cancelledAt = new Date().toISOString();
+  const droppedTasks = dropOutstandingTasks(job);
+  saveJob(job);
+  
+  logEvent('warning', 'workflow', `Cancel requested for job: ${job.campaignName} (${keepLeads ? 'keeping' : 'discarding'} ${job.leads.length} collected leads${droppedTasks ? `, ${droppedTasks} queued tasks dropped` : ''})`, {
+    jobId,
+    keepLeads: !!keepLeads,
+    droppedTasks
+  });
+  
+  // A paused job restored after a restart has no loop running - start one so it wraps up
+  startScrapingJob(job);
+
+  res.json({ success: true, status: job.status, keepLeads: !!keepLeads, leadsCount: job.leads.length });
+});
+
+app.post('/api/scrape/:jobId/pause', requireAuth, (req, res) => {
+  const { jobId } = req.params;
+  const job = scrapingJobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'running') {
+    return res.status(400).json({ error: `Cannot pause a job that is ${job.status}` });
+  }
+
+  job.status = 'paused';
+  job.pausedAt = new Date().toISOString();
+  saveJob(job);
+  logJob(job);
+  
+  logEvent('info', 'workflow', `Job paused: ${job.campaignName} (will stop before the next API call)`, { jobId });
+  res.json({ success: true, status: job.status });
+});
+
+app.post('/api/scrape/:jobId/resume', requireAuth, (req, res) => {
+  const { jobId } = req.params;
+  const job = scrapingJobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'paused') {
+    return res.status(400).json({ error: `Cannot resume a job that is ${job.status}` });
+  }
+  if (leadProviderFor(job).needsCredentials && (!config.dataforseo.login || !config.dataforseo.password)) {
+    return res.status(400).json({ error: 'DataForSEO credentials not configured' });
+  }
+
+  job.status = 'running';
+  job.pausedAt = null;
+  job.pauseReason = null;
+  if (req.body?.ignoreBudget) job.ignoreBudget = true;
+  saveJob(job);
+  logJob(job);
+  
+  logEvent('info', 'workflow', `Job resumed: ${job.campaignName}`, { jobId });
+  
+  // No-op if the loop is still alive and waiting; restarts it if the job was paused before a restart
+  startScrapingJob(job);
+
+  res.json({ success: true, status: job.status });
+});
+
+app.get('/api/scrape/results/:jobId', requireAuth, (req, res) => {
+  const { jobId } = req.params;
+  const job = loadFullJob(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({
+    leads: job.leads,
+    errors: job.errors,
+    status: job.status
+  });
+});
+
+// DataForSEO postback for task mode jobs (postback_data: advanced)
+app.post('/api/dataforseo/postback/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = scrapingJobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  // Late postbacks of a cancelled or finished job: its leads were already saved or discarded
+  if (job.status !== 'running' && job.status !== 'paused') {
+    logEvent('info', 'dataforseo', `Postback ignored for ${job.status} job ${jobId}`, { jobId });
+    return res.json({ success: true, collected: 0, ignored: job.status });
+  }
+
+  let collected = 0;
+  for (const task of req.body?.tasks || []) {
+    if (collectTaskResult(job, task.id, task)) collected++;
+  }
+  
+  logEvent('info', 'dataforseo', `Postback received for job ${jobId}: ${collected} task(s) collected`, { jobId });
+  res.json({ success: true, collected });
+});
+
+// ============== RAW RESPONSE ARCHIVE ==============
+// The full DataForSEO task behind every search of a job is kept gzipped in
+// data/raw-responses/<jobId>/, listed in that folder's index.ndjson, one line per
+// response (area, category, language, keyword, endpoint), so archiving a response
+// appends a line instead of rewriting the index. Leads can be rebuilt from it after a
+// change to the mapping or filters without paying for the queries again. Previews are
+// not archived. Archives written before the NDJSON index keep their index.json.
+
+function archiveJobDir(jobId) {
+  return join(RAW_ARCHIVE_DIR, String(jobId).replace(/[^\w-]/g, '_'));
+}
+
+function loadArchiveIndex(jobId) {
+  const dir = archiveJobDir(jobId);
+  const legacy = readJsonFile(join(dir, 'index.json'), () => []);
+  const path = join(dir, 'index.ndjson');
+  if (!existsSync(path)) return legacy;
+  
+  // A line cut short by a crash mid-append is skipped
+  const entries = readFileSync(path, 'utf-8').split('\n').filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+  return [...legacy, ...entries];
+}
+
+// Next archive file number per job, read from its index once per process
+const archiveFileCounts = new Map();
+
+function readArchivedTask(jobId, file) {
+  return JSON.parse(gunzipSync(readFileSync(join(archiveJobDir(jobId), file))).toString('utf-8'));
+}
+
+// A failed write only costs the archive copy, never the search
+function archiveRawTask({ jobId, area, category, endpoint, task, taskId = null, languageCode = null }) {
+  if (!config.rawArchive.enabled || !jobId || String(jobId).startsWith('preview-')) return;
+  
+  try {
+    const dir = archiveJobDir(jobId);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    if (!archiveFileCounts.has(jobId)) archiveFileCounts.set(jobId, loadArchiveIndex(jobId).length);
+    const number = archiveFileCounts.get(jobId) + 1;
+    const file = `${String(number).padStart(5, '0')}.json.gz`;
+    writeFileSync(join(dir, file), gzipSync(JSON.stringify(task)));
+    archiveFileCounts.set(jobId, number);
+    
+    appendFileSync(join(dir, 'index.ndjson'), JSON.stringify({
+      file,
+      area,
+      category,
+      languageCode: task.data?.language_code || languageCode,
+      keyword: task.data?.keyword || null,
+      endpoint,
+      taskId,
+      items: task.result?.[0]?.items?.length || 0,
+      cost: task.cost || 0,
+      archivedAt: new Date().toISOString()
+    }) + '\n');
+  } catch (error) {
+    console.error(`Error archiving response for job ${jobId}:`, error.message);
+  }
+}
+
+// Same mapping as the live search of each provider
+function mapArchivedItems(endpoint, items) {
+  if (endpoint.includes('/local_finder/')) return mapLocalFinderItems(items).map(withPlaceId);
+  if (endpoint.includes('/business_listings/')) return mapBusinessListingItems(items);
+  return mapMapsItems(items);
+}
+
+// Rebuild a job's leads from its archive with the current mapping, filters, dedupe and
+// geofence. Returns a copy of the job; completed segments without archived responses
+// (searched before the archive existed, or while it was disabled) are listed in `missingSegments`.
+function rebuildJobFromArchive(job) {
+  const index = loadArchiveIndex(job.id);
+  const bySegment = new Map();
+  
+  index.forEach(entry => {
+    const target = job.neighborhoods.find(n => (n.postalCode || n.name) === entry.area || n.id === entry.area);
+    if (!target) return;
+    const key = segmentKey(target, entry.category);
+    if (!bySegment.has(key)) bySegment.set(key, { target, category: entry.category, listings: [] });
+    
+    const task = readArchivedTask(job.id, entry.file);
+    const listings = mapArchivedItems(entry.endpoint, task.result?.[0]?.items);
+    bySegment.get(key).listings.push(...(entry.languageCode ? withSearchLanguage(listings, entry.languageCode) : listings));
+  });
+  
+  // Failed segments stay failed; they have nothing archived
+  const segments = Object.fromEntries(Object.entries(job.segments || {}).filter(([, segment]) => segment.status !== 'complete'));
+  const rebuilt = { ...job, leads: [], segments };
+  
+  bySegment.forEach(({ target, category, listings }, key) => {
+    const results = filterCallableListings(mergeListings(listings), jobTargeting(job));
+    const scrapedAt = job.segments?.[key]?.finishedAt || job.startTime;
+    rebuilt.leads.push(...segmentLeads(rebuilt, target, category, results, scrapedAt));
+    rebuilt.segments[key] = {
+      status: 'complete',
+      resultsCount: results.length,
+      rawCount: results.rawCount ?? results.length,
+      withoutWebsite: results.filter(lacksWebsite).length,
+      rejected: results.rejected,
+      finishedAt: scrapedAt
+    };
+  });
+  
+  dedupeJobLeads(rebuilt);
+  applyGeofence(rebuilt);
+  rebuilt.areaTargets = summarizeAreaTargets(rebuilt);
+  rebuilt.breakdown = buildJobBreakdown(rebuilt);
+  
+  rebuilt.missingSegments = Object.entries(job.segments || {})
+    .filter(([key, segment]) => segment.status === 'complete' && !bySegment.has(key))
+    .map(([key]) => key);
+  rebuilt.archivedResponses = index.length;
+  return rebuilt;
+}
+
+const leadIdentity = lead => lead.placeId || lead.phone || lead.id;
+
+// Archive folders with their response counts, ?area= / ?category= to find the jobs that searched them
+app.get('/api/archive', requireAuth, (req, res) => {
+  const { area, category } = req.query;
+  if (!existsSync(RAW_ARCHIVE_DIR)) return res.json({ enabled: config.rawArchive.enabled, jobs: [] });
+  
+  const jobs = readdirSync(RAW_ARCHIVE_DIR).map(jobId => {
+    const entries = loadArchiveIndex(jobId).filter(e => (!area || e.area === area) && (!category || e.category === category));
+    const dir = archiveJobDir(jobId);
+    return {
+      jobId,
+      campaignName: scrapingJobs.get(jobId)?.campaignName || null,
+      responses: entries.length,
+      areas: [...new Set(entries.map(e => e.area))],
+      categories: [...new Set(entries.map(e => e.category))],
+      bytes: readdirSync(dir).reduce((sum, file) => sum + statSync(join(dir, file)).size, 0)
+    };
+  }).filter(job => job.responses > 0);
+  
+  res.json({ enabled: config.rawArchive.enabled, jobs });
+});
+
+app.get('/api/archive/:jobId', requireAuth, (req, res) => {
+  const { area, category } = req.query;
+  const index = loadArchiveIndex(req.params.jobId);
+  if (index.length === 0) {
+    return res.status(404).json({ error: 'No archived responses for this job' });
+  }
+  res.json(index.filter(e => (!area || e.area === area) && (!category || e.category === category)));
+});
+
+// One archived response, decompressed
+app.get('/api/archive/:jobId/:file', requireAuth, (req, res) => {
+  const entry = loadArchiveIndex(req.params.jobId).find(e => e.file === req.params.file);
+  if (!entry) {
+    return res.status(404).json({ error: 'Response not found' });
+  }
+  res.json({ ...entry, task: readArchivedTask(req.params.jobId, entry.file) });
+});
+
+// Rebuild the job's leads from the archive. Without `save` it only reports what would change;
+// `save: true` replaces the job's leads, `addToPool: true` also adds the new ones to the local leads.
+app.post('/api/archive/:jobId/reprocess', requireAuth, (req, res) => {
+  const { save = false, addToPool = false } = req.body || {};
+  const job = loadFullJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status === 'running' || job.status === 'paused') {
+    return res.status(409).json({ error: `Job is ${job.status} - reprocess it once it has finished` });
+  }
+  if (loadArchiveIndex(job.id).length === 0) {
+    return res.status(404).json({ error: 'No archived responses for this job' });
+  }
+  
+  let rebuilt;
+  try {
+    rebuilt = rebuildJobFromArchive(job);
+  } catch (error) {
+    logEvent('error', 'archive', `Reprocess failed for job ${job.id}: ${error.message}`, { jobId: job.id });
+    return res.status(500).json({ error: error.message });
+  }
+  
+  const before = new Set(job.leads.map(leadIdentity));
+  const after = new Set(rebuilt.leads.map(leadIdentity));
+  const report = {
+    jobId: job.id,
+    archivedResponses: rebuilt.archivedResponses,
+    missingSegments: rebuilt.missingSegments,
+    leadsBefore: job.leads.length,
+    leadsAfter: rebuilt.leads.length,
+    added: rebuilt.leads.filter(lead => !before.has(leadIdentity(lead))).length,
+    removed: job.leads.filter(lead => !after.has(leadIdentity(lead))).length,
+    breakdown: rebuilt.breakdown,
+    saved: false,
+    addedToPool: 0,
+    mergedInPool: 0
+  };
+  
+  if (!save) return res.json(report);
+  if (rebuilt.missingSegments.length > 0) {
+    return res.status(400).json({ ...report, error: `${rebuilt.missingSegments.length} completed segments have no archived responses - saving would drop their leads` });
+  }
+  
+  job.leads = rebuilt.leads;
+  job.segments = rebuilt.segments;
+  job.breakdown = rebuilt.breakdown;
+  job.geofenceSummary = rebuilt.geofenceSummary;
+  job.areaTargets = rebuilt.areaTargets;
+  job.reprocessedAt = new Date().toISOString();
+  const targeted = applyTargeting(job);
+  saveJob(job);
+  report.saved = true;
+  report.targeting = job.targetingSummary;
+  
+  // Only leads the campaign does not have yet, so reprocessing twice adds nothing
+  if (addToPool && !leadProviderFor(job).offline) {
+    const known = new Set(findLeads({ campaign: job.campaignName }).map(leadIdentity));
+    const fresh = targeted.filter(lead => !known.has(leadIdentity(lead)));
+    if (fresh.length > 0) {
+      const saved = addLeadsToLocal(fresh, job.campaignName, jobCityNames(job) || 'Unknown', job.postalCodes || [], campaignTargetingUpdate(job), job.id);
+      report.addedToPool = saved.added;
+      report.mergedInPool = saved.merged;
+    }
+  }
+  
+  logEvent('success', 'archive', `Reprocessed job ${job.id} from ${report.archivedResponses} archived responses: ${report.leadsBefore} → ${report.leadsAfter} leads (${report.addedToPool} added to the pool, ${report.mergedInPool} merged into saved businesses)`, {
+    jobId: job.id,
+    added: report.added,
+    removed: report.removed
+  });
+  res.json(report);
+});
+
+app.delete('/api/archive/:jobId', requireAuth, (req, res) => {
+  const dir = archiveJobDir(req.params.jobId);
+  if (!existsSync(dir)) {
+    return res.status(404).json({ error: 'No archived responses for this job' });
+  }
+  rmSync(dir, { recursive: true, force: true });
+  archiveFileCounts.delete(req.params.jobId);
+  logEvent('info', 'archive', `Deleted archived responses of job ${req.params.jobId}`, { jobId: req.params.jobId });
+  res.json({ success: true });
+});
+
+// ============== SCRAPE SCHEDULES ==============
+// Recurring scrapes and the low-pool auto-scrape rule, persisted in schedules.json and
+// checked once a minute by an in-process ticker. Cadence uses 5-field cron syntax
+// (minute hour day-of-month month day-of-week) in the server's local time, e.g.
+// "0 2 * * 1" = Mondays at 02:00. A schedule points at a saved selection
+// (POST /api/locations/selections) and carries the job options to use.
+
+const SCHEDULE_TICK_MS = 60 * 1000;
+const AUTO_SCRAPE_CHECK_MS = 15 * 60 * 1000; // the lead count is one SQLite query - this only spaces out the lastCheckedAt writes to schedules.json
+
+function defaultSchedules() {
+  return {
+    schedules: [],
+    autoScrape: { enabled: false, threshold: 500, cooldownHours: 24, playbook: null, lastCheckedAt: null, lastTriggeredAt: null, lastJobId: null }
+  };
+}
+
+function loadSchedules() {
+  return readJsonFile(SCHEDULES_PATH, defaultSchedules);
+}
+
+function updateSchedules(mutate) {
+  return updateJsonFile(SCHEDULES_PATH, defaultSchedules, mutate);
+}
+
+// Runs await job launches, during which schedules can be edited - so a run only
+// writes back its own bookkeeping fields, onto the current file
+const SCHEDULE_RUN_FIELDS = ['lastRunAt', 'nextRunAt', 'lastJobId', 'lastError'];
+const AUTO_SCRAPE_RUN_FIELDS = ['lastCheckedAt', 'lastTriggeredAt', 'lastJobId', 'lastError'];
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+function saveScheduleRun(schedule) {
+  updateSchedules(data => {
+    const current = data.schedules.find(s => s.id === schedule.id);
+    if (current) Object.assign(current, pickFields(schedule, SCHEDULE_RUN_FIELDS));
+  });
+}
+
+function saveAutoScrapeRun(rule) {
+  updateSchedules(data => {
+    Object.assign(data.autoScrape, pickFields(rule, AUTO_SCRAPE_RUN_FIELDS));
+  });
+}
+
+// One cron field ("*", "*/15", "1-5", "0,30", "8-18/2") -> allowed values
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n));
+    if (to === undefined) to = stepText ? max : from;
+    if ([from, to, step].some(n => isNaN(n)) || from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = (expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  return {
+    minute: parseCronField(minute, 0, 59),
+    hour: parseCronField(hour, 0, 23),
+    dayOfMonth: parseCronField(dayOfMonth, 1, 31),
+    month: parseCronField(month, 1, 12),
+    dayOfWeek: parseCronField(dayOfWeek.replace(/\b7\b/g, '0'), 0, 6), // 0 and 7 are both Sunday
+    anyDay: dayOfMonth === '*' || dayOfWeek === '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  // Standard cron: when both day fields are restricted, either one may match
+  return cron.anyDay ? domMatch && dowMatch : domMatch || dowMatch;
+}
+
+// Next run strictly after `from`, skipping whole days/hours that cannot match.
+// Looks four years ahead (so "29 2" finds the next leap day); null when nothing matches.
+function nextCronRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  
+  const limit = new Date(from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000);
+  while (date <= limit) {
+    if (!cron.month.has(date.getMonth() + 1) || !cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (cron.minute.has(date.getMinutes())) return date;
+    date.setMinutes(date.getMinutes() + 1);
+  }
+  return null;
+}
+
+// Leads that can still be called: New, with a phone, not on the DNC list
+function countCallableNewLeads() {
+  return db.prepare(`
+    SELECT COUNT(*) AS count FROM leads
+    WHERE status = 'New' AND COALESCE(phone, '') != '' AND phone NOT IN (SELECT phone FROM dnc)
+  `).get().count;
+}
+
+// A playbook/schedule -> /api/scrape/start options
+function playbookToJobOptions(playbook, campaignName) {
+  let locations = playbook.locations;
+  if (playbook.selectionId) {
+    const selection = (loadScrapeProgress().savedSelections || []).find(sel => sel.id === playbook.selectionId);
+    if (!selection) {
+      throw new Error(`Saved selection ${playbook.selectionId} no longer exists`);
+    }
+    locations = [{ cityId: selection.cityId, postalCodes: selection.postalCodes }];
+  }
+  
+  return {
+    campaignName,
+    categories: playbook.categories,
+    locations,
+    limit: playbook.limit,
+    scrapeMode: playbook.scrapeMode || 'category',
+    fetchMode: playbook.fetchMode,
+    searchMode: playbook.searchMode,
+    geofence: playbook.geofence,
+    languages: playbook.languages,
+    prioritizeByYield: playbook.prioritizeByYield,
+    provider: playbook.provider,
+    targeting: playbook.targeting
+  };
+}
+
+function isJobActive(jobId) {
+  const job = jobId && scrapingJobs.get(jobId);
+  return !!job && (job.status === 'running' || job.status === 'paused');
+}
+
+async function runSchedule(schedule) {
+  const now = new Date();
+  schedule.lastRunAt = now.toISOString();
+  schedule.nextRunAt = nextCronRun(schedule.cron, now)?.toISOString() || null;
+  
+  if (isJobActive(schedule.lastJobId)) {
+    schedule.lastError = `Skipped: previous job ${schedule.lastJobId} is still running`;
+    logEvent('warning', 'schedule', `Schedule "${schedule.name}" skipped - previous job still running`, { scheduleId: schedule.id });
+    return;
+  }
+  
+  try {
+    const campaignName = `${schedule.campaignName || schedule.name} ${now.toISOString().split('T')[0]}`;
+    const result = await launchScrapeJob({
+      ...playbookToJobOptions(schedule, campaignName),
+      trigger: 'schedule',
+      scheduleId: schedule.id
+    });
+    schedule.lastJobId = result.jobId;
+    schedule.lastError = null;
+    logEvent('start', 'schedule', `Schedule "${schedule.name}" started job ${result.jobId}`, { scheduleId: schedule.id, jobId: result.jobId });
+  } catch (error) {
+    schedule.lastError = error.message;
+    logEvent('error', 'schedule', `Schedule "${schedule.name}" failed: ${error.message}`, { scheduleId: schedule.id });
+  }
+}
+
+async function checkAutoScrape(data) {
+  const rule = data.autoScrape;
+  rule.lastCheckedAt = new Date().toISOString();
+  if (!rule.enabled || !rule.playbook || isJobActive(rule.lastJobId)) return;
+  
+  const cooldownMs = (rule.cooldownHours || 0) * 60 * 60 * 1000;
+  if (rule.lastTriggeredAt && Date.now() - new Date(rule.lastTriggeredAt).getTime() < cooldownMs) return;
+  
+  const callable = countCallableNewLeads();
+  if (callable >= rule.threshold) return;
+  
+  rule.lastTriggeredAt = new Date().toISOString();
+  try {
+    const campaignName = `${rule.playbook.campaignName || 'Auto-scrape'} ${rule.lastTriggeredAt.split('T')[0]}`;
+    const result = await launchScrapeJob({ ...playbookToJobOptions(rule.playbook, campaignName), trigger: 'auto-scrape' });
+    rule.lastJobId = result.jobId;
+    rule.lastError = null;
+    logEvent('start', 'schedule', `Auto-scrape: ${callable} callable New leads (< ${rule.threshold}) - started job ${result.jobId}`, { jobId: result.jobId, callable });
+  } catch (error) {
+    rule.lastError = error.message;
+    logEvent('error', 'schedule', `Auto-scrape failed: ${error.message}`, { callable });
+  }
+}
+
+let scheduleTickRunning = false;
+async function scheduleTick() {
+  if (scheduleTickRunning) return;
+  scheduleTickRunning = true;
+  
+  try {
+    const data = loadSchedules();
+    const now = new Date();
+    
+    for (const schedule of data.schedules) {
+      if (schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now) {
+        await runSchedule(schedule);
+        saveScheduleRun(schedule);
+      }
+    }
+    
+    const lastChecked = data.autoScrape.lastCheckedAt ? new Date(data.autoScrape.lastCheckedAt).getTime() : 0;
+    if (data.autoScrape.enabled && now.getTime() - lastChecked >= AUTO_SCRAPE_CHECK_MS) {
+      await checkAutoScrape(data);
+      saveAutoScrapeRun(data.autoScrape);
+    }
+  } catch (error) {
+    logEvent('error', 'schedule', `Schedule check failed: ${error.message}`);
+  } finally {
+    scheduleTickRunning = false;
+  }
+}
+
+// Accepts the editable fields of a schedule; throws on invalid cron or options
+function applyScheduleFields(schedule, body) {
+  ['name', 'cron', 'selectionId', 'locations', 'categories', 'limit', 'scrapeMode', 'fetchMode', 'searchMode', 'geofence', 'languages', 'prioritizeByYield', 'provider', 'targeting', 'campaignName', 'enabled']
+    .forEach(field => {
+      if (body[field] !== undefined) schedule[field] = body[field];
+    });
+  
+  if (!schedule.name) throw new Error('Schedule name is required');
+  if (!schedule.selectionId && !(schedule.locations?.length > 0)) throw new Error('Pick a saved selection (selectionId) or locations');
+  if (schedule.scrapeMode !== 'all_businesses' && !(schedule.categories?.length > 0)) throw new Error('At least one category is required');
+  if (schedule.targeting) normalizeTargeting(schedule.targeting, schedule.scrapeMode);
+  
+  // Checked on disabled schedules too, so enabling one later cannot fail
+  const nextRun = nextCronRun(schedule.cron);
+  if (!nextRun) throw new Error(`Cron expression "${schedule.cron}" never matches a date`);
+  schedule.nextRunAt = schedule.enabled ? nextRun.toISOString() : null;
+  return schedule;
+}
+
+app.get('/api/schedules', requireAuth, (req, res) => {
+  const data = loadSchedules();
+  res.json({ ...data, callableNewLeads: countCallableNewLeads() });
+});
+
+app.post('/api/schedules', requireAuth, (req, res) => {
+  try {
+    const schedule = applyScheduleFields({
+      id: Date.now().toString(),
+      enabled: true,
+      scrapeMode: 'category',
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastJobId: null,
+      lastError: null
+    }, req.body);
+    updateSchedules(data => { data.schedules.push(schedule); });
+    logEvent('info', 'schedule', `Schedule "${schedule.name}" created (${schedule.cron}, next run ${schedule.nextRunAt})`);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/schedules/:id', requireAuth, (req, res) => {
+  try {
+    const schedule = updateSchedules(data => {
+      const found = data.schedules.find(s => s.id === req.params.id);
+      return found && applyScheduleFields(found, req.body);
+    });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
+});
 
-  // Aggressive deduplication by phone
-  logEvent('info', 'deduplication', `Deduplicating ${job.leads.length} leads from broad search...`, { jobId });
-  
-  const originalCount = job.leads.length;
-  const seenPhones = new Set();
-  const seenNames = new Set();
-  
-  job.leads = job.leads.filter(lead => {
-    // Dedupe by phone first
-    if (lead.phone) {
-      const phone = lead.phone.replace(/\D/g, '');
-      if (seenPhones.has(phone)) return false;
-      seenPhones.add(phone);
-    }
-    // Also dedupe by name+address combo for businesses without phones
-    const nameKey = `${(lead.name || '').toLowerCase()}-${(lead.address || '').toLowerCase()}`;
-    if (seenNames.has(nameKey)) return false;
-    seenNames.add(nameKey);
-    return true;
+app.delete('/api/schedules/:id', requireAuth, (req, res) => {
+  updateSchedules(data => {
+    data.schedules = data.schedules.filter(s => s.id !== req.params.id);
   });
+  res.json({ success: true });
+});
+
+// Run a schedule now (its regular cadence is unchanged)
+app.post('/api/schedules/:id/run', requireAuth, async (req, res) => {
+  const data = loadSchedules();
+  const schedule = data.schedules.find(s => s.id === req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
   
-  const duplicatesRemoved = originalCount - job.leads.length;
-  logEvent('success', 'deduplication', `Removed ${duplicatesRemoved} duplicates, ${job.leads.length} unique leads`, {
-    jobId,
-    original: originalCount,
-    unique: job.leads.length,
-    duplicates: duplicatesRemoved
-  });
+  const nextRunAt = schedule.nextRunAt;
+  await runSchedule(schedule);
+  schedule.nextRunAt = schedule.enabled ? nextRunAt : null;
+  saveScheduleRun(schedule);
+  res.json({ success: !schedule.lastError, schedule });
+});
 
-  job.status = 'completed';
-  job.progress = 100;
-  job.endTime = new Date().toISOString();
+// Auto-scrape rule. Body: { enabled, threshold, cooldownHours, playbook: { selectionId | locations, categories, limit, ... } }
+app.post('/api/schedules/auto-scrape', requireAuth, (req, res) => {
+  const { enabled, threshold, cooldownHours, playbook } = req.body;
   
-  // Update postal code progress tracking
-  if (job.postalCodes && job.postalCodes.length > 0) {
-    const progress = loadScrapeProgress();
-    const leadsPerPostalCode = Math.ceil(job.leads.length / job.postalCodes.length);
-    
-    job.postalCodes.forEach(code => {
-      if (!progress.postalCodes[code]) {
-        progress.postalCodes[code] = { status: 'not_started', leadsCount: 0, campaigns: [] };
-      }
-      progress.postalCodes[code].status = 'complete';
-      progress.postalCodes[code].leadsCount += leadsPerPostalCode;
-      progress.postalCodes[code].lastScraped = new Date().toISOString();
-      if (!progress.postalCodes[code].campaigns.includes(job.campaignName)) {
-        progress.postalCodes[code].campaigns.push(job.campaignName);
+  try {
+    const rule = updateSchedules(data => {
+      const rule = data.autoScrape;
+      if (enabled !== undefined) rule.enabled = !!enabled;
+      if (threshold !== undefined) rule.threshold = Math.max(0, parseInt(threshold) || 0);
+      if (cooldownHours !== undefined) rule.cooldownHours = Math.max(0, parseFloat(cooldownHours) || 0);
+      if (playbook !== undefined) rule.playbook = playbook;
+      
+      if (rule.enabled && !rule.playbook) {
+        throw new Error('An enabled auto-scrape rule needs a playbook');
       }
+      rule.lastCheckedAt = null; // check on the next tick
+      return rule;
     });
-    
-    saveScrapeProgress(progress);
-    logEvent('info', 'progress', `Updated progress for ${job.postalCodes.length} postal codes`, { jobId });
-  }
-  
-  // AUTO-SAVE leads locally (never lose data!)
-  if (job.leads.length > 0) {
-    const cityName = job.neighborhoods[0]?.cityName || 'Unknown';
-    addLeadsToLocal(job.leads, job.campaignName, cityName, job.postalCodes || []);
+    res.json({ success: true, autoScrape: rule, callableNewLeads: countCallableNewLeads() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
+});
+
+// ============== SPEND REPORTING ==============
+
+// Cost per job, per campaign and per no-website lead kept, from the spend ledger
+app.get('/api/spend/report', requireAuth, (req, res) => {
+  const savedCampaigns = loadCampaigns();
+  const round = n => Math.round(n * 10000) / 10000;
+  const totalCost = db.prepare('SELECT COALESCE(SUM(cost), 0) AS cost FROM spend').get().cost;
+  
+  // A job's campaign is the one of its first entry
+  const byJob = db.prepare(`
+    SELECT job_id AS jobId, (SELECT campaign_name FROM spend earliest WHERE earliest.job_id IS spend.job_id ORDER BY id LIMIT 1) AS campaignName,
+      SUM(cost) AS cost, COUNT(*) AS calls
+    FROM spend GROUP BY job_id
+  `).all();
+  const byCampaign = db.prepare('SELECT campaign_name AS campaignName, SUM(cost) AS cost, COUNT(*) AS calls FROM spend GROUP BY campaign_name').all();
+  
+  const jobs = byJob.map(j => {
+    const job = j.jobId ? scrapingJobs.get(j.jobId) : null;
+    const leadsKept = job?.leadsSaved ?? null;
+    return {
+      ...j,
+      cost: round(j.cost),
+      status: job?.status || null,
+      estimatedCost: job?.estimate?.estimatedCost ?? null,
+      leadsKept,
+      costPerLeadKept: leadsKept ? round(j.cost / leadsKept) : null
+    };
+  });
   
-  logEvent('complete', 'workflow', `BROAD scraping completed: ${job.leads.length} unique leads found`, {
-    jobId,
-    leadsCount: job.leads.length,
-    errorsCount: job.errors.length,
-    duration: Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000) + 's',
-    mode: 'all_businesses'
+  const campaigns = byCampaign.map(c => {
+    const campaign = savedCampaigns.find(lc => lc.name === c.campaignName);
+    const leadsKept = campaign?.leadsCount ?? null;
+    return {
+      ...c,
+      cost: round(c.cost),
+      leadsKept,
+      costPerLeadKept: leadsKept ? round(c.cost / leadsKept) : null
+    };
   });
   
-  logJob(job);
+  const totalLeads = countLeads();
+  res.json({
+    totalCost: round(totalCost),
+    monthCost: round(getMonthSpend()),
+    totalLeadsKept: totalLeads,
+    costPerLeadKept: totalLeads ? round(totalCost / totalLeads) : null,
+    budget: config.budget,
+    pricing: config.pricing,
+    byJob: jobs.sort((a, b) => b.cost - a.cost),
+    byCampaign: campaigns.sort((a, b) => b.cost - a.cost)
+  });
+});
+
+// ============== YIELD ANALYTICS ==============
+// Running totals per category and per area across finished jobs (data/yield-stats.json):
+//   searches       - completed (area, category) searches
+//   results        - raw listings returned
+//   withPhone      - listings left after the rating and phone filters
+//   withoutWebsite - ...of which have no website
+//   kept           - unique leads matching the job's targeting rules after dedupe and geofence
+//   cost           - USD from the spend ledger
+// Broad jobs use them to order their categories (see prioritizeCategories).
+
+function emptyYield() {
+  return { searches: 0, results: 0, withPhone: 0, withoutWebsite: 0, kept: 0, cost: 0, jobs: 0, lastScrapedAt: null };
 }
 
-app.get('/api/scrape/status/:jobId', requireAuth, (req, res) => {
-  const { jobId } = req.params;
-  const job = scrapingJobs.get(jobId);
+function emptyYieldStats() {
+  return { categories: {}, areas: {}, updatedAt: null };
+}
+
+function loadYieldStats() {
+  return readJsonFile(YIELD_STATS_PATH, emptyYieldStats);
+}
+
+// Ledger cost of each completed segment of a job. Calls that are not tied to one
+// segment (task_post batches, failed searches) are spread evenly over the completed ones.
+function segmentCosts(job) {
+  const categories = job.plan?.categories || [job.category];
+  const byLedgerKey = new Map();
+  const completed = [];
+  job.neighborhoods.forEach(target => {
+    categories.forEach(category => {
+      const key = segmentKey(target, category);
+      if (job.segments?.[key]?.status !== 'complete') return;
+      completed.push(key);
+      byLedgerKey.set(`${target.postalCode || target.name}::${category}`, key);
+    });
+  });
   
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
+  const costs = {};
+  let unattributed = 0;
+  spendEntries(job.id).forEach(entry => {
+    const key = byLedgerKey.get(`${entry.area}::${entry.category}`);
+    if (key) costs[key] = (costs[key] || 0) + entry.cost;
+    else unattributed += entry.cost;
+  });
+  completed.forEach(key => {
+    costs[key] = (costs[key] || 0) + unattributed / completed.length;
+  });
+  return costs;
+}
 
-  res.json({
-    id: job.id,
-    status: job.status,
-    progress: job.progress,
-    currentNeighborhood: job.currentNeighborhood,
-    totalNeighborhoods: job.totalNeighborhoods,
-    leadsCount: job.leads.length,
-    errorsCount: job.errors.length,
-    startTime: job.startTime,
-    endTime: job.endTime
+// Add a finished job to the totals (once - a resumed job only finishes once)
+function recordJobYield(job) {
+  if (job.yieldRecorded) return;
+  
+  const now = new Date().toISOString();
+  const costs = segmentCosts(job);
+  updateJsonFile(YIELD_STATS_PATH, emptyYieldStats, stats => {
+    const touched = { categories: new Set(), areas: new Set() };
+    const bump = (bucket, key, values, name) => {
+      const entry = stats[bucket][key] = { ...emptyYield(), ...stats[bucket][key] };
+      Object.entries(values).forEach(([field, value]) => { entry[field] += value; });
+      if (name) entry.name = name;
+      if (!touched[bucket].has(key)) {
+        touched[bucket].add(key);
+        entry.jobs++;
+      }
+      entry.lastScrapedAt = now;
+    };
+    
+    job.neighborhoods.forEach(target => {
+      (job.plan?.categories || [job.category]).forEach(category => {
+        const key = segmentKey(target, category);
+        const segment = job.segments?.[key];
+        if (segment?.status !== 'complete') return;
+        const values = {
+          searches: 1,
+          results: segment.rawCount ?? segment.resultsCount ?? 0,
+          withPhone: segment.resultsCount || 0,
+          withoutWebsite: segment.withoutWebsite ?? 0,
+          cost: costs[key] || 0
+        };
+        bump('categories', category, values);
+        bump('areas', target.postalCode || target.id, values, target.name);
+      });
+    });
+    
+    job.leads.filter(lead => matchesTargeting(job, lead)).forEach(lead => {
+      if (touched.categories.has(lead.searchCategory)) stats.categories[lead.searchCategory].kept++;
+      if (touched.areas.has(lead.searchArea)) stats.areas[lead.searchArea].kept++;
+    });
+    
+    stats.updatedAt = now;
   });
-});
+  job.yieldRecorded = true;
+}
 
-app.get('/api/scrape/results/:jobId', requireAuth, (req, res) => {
-  const { jobId } = req.params;
-  const job = scrapingJobs.get(jobId);
+function yieldSummary(key, entry) {
+  const round = n => Math.round(n * 10000) / 10000;
+  return {
+    key,
+    ...entry,
+    cost: round(entry.cost),
+    leadsPerSearch: entry.searches ? round(entry.kept / entry.searches) : null,
+    costPerLead: entry.kept ? round(entry.cost / entry.kept) : null
+  };
+}
+
+// Best categories first. Categories with enough history (minSearches) below the
+// threshold are skipped; the ones without enough history are still tried, after the proven ones.
+function prioritizeCategories(categories) {
+  const history = loadYieldStats().categories;
+  const { minLeadsPerSearch, minSearches } = config.yield;
   
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
+  const scored = categories.map((category, index) => {
+    const entry = history[category];
+    const proven = !!entry && entry.searches >= minSearches;
+    return { category, index, proven, searches: entry?.searches || 0, leadsPerSearch: proven ? entry.kept / entry.searches : null };
+  });
+  const skipped = scored.filter(c => c.proven && c.leadsPerSearch < minLeadsPerSearch);
+  const kept = scored.filter(c => !skipped.includes(c)).sort((a, b) => {
+    if (a.proven !== b.proven) return a.proven ? -1 : 1;
+    return a.proven ? b.leadsPerSearch - a.leadsPerSearch : a.index - b.index;
+  });
+  
+  return {
+    categories: kept.map(c => c.category),
+    skipped: skipped.map(c => ({ category: c.category, searches: c.searches, leadsPerSearch: Math.round(c.leadsPerSearch * 100) / 100 }))
+  };
+}
 
+// Yield report, best first. ?sort=cost|costPerLead|searches to sort differently
+app.get('/api/yield', requireAuth, (req, res) => {
+  const stats = loadYieldStats();
+  const sortField = ['cost', 'costPerLead', 'searches', 'kept'].includes(req.query.sort) ? req.query.sort : 'leadsPerSearch';
+  const sorted = bucket => Object.entries(bucket)
+    .map(([key, entry]) => yieldSummary(key, entry))
+    .sort((a, b) => (b[sortField] ?? -1) - (a[sortField] ?? -1));
+  
   res.json({
-    leads: job.leads,
-    errors: job.errors,
-    status: job.status
+    updatedAt: stats.updatedAt,
+    thresholds: config.yield,
+    categories: sorted(stats.categories),
+    areas: sorted(stats.areas),
+    // What a prioritized broad job would search right now
+    broadPlan: prioritizeCategories(broadCatalogCategories())
   });
 });
 
+app.delete('/api/yield', requireAuth, (req, res) => {
+  writeJsonFile(YIELD_STATS_PATH, { ...emptyYieldStats(), updatedAt: new Date().toISOString() });
+  logEvent('info', 'yield', 'Yield statistics reset');
+  res.json({ success: true });
+});
+
 // ============== EXPORT ROUTES ==============
 
 // Export scraping results to CSV
 app.get('/api/export/scrape/:jobId/csv', requireAuth, (req, res) => {
   const { jobId } = req.params;
-  const job = scrapingJobs.get(jobId);
+  const job = loadFullJob(jobId);
   
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
@@ -1580,7 +5088,7 @@ app.get('/api/export/scrape/:jobId/csv', requireAuth, (req, res) => {
   const leads = job.leads || [];
   
   // Build CSV with proper phone formatting
-  const headers = ['Company Name', 'Phone', 'Website', 'Address', 'Rating', 'Reviews', 'Category', 'Neighborhood', 'Scraped Date'];
+  const headers = ['Company Name', 'Phone', 'Website', 'Website Type', 'Address', 'Rating', 'Reviews', 'Category', 'Neighborhood', 'Scraped Date'];
   const rows = [headers.join(',')];
   
   leads.forEach(lead => {
@@ -1588,6 +5096,7 @@ app.get('/api/export/scrape/:jobId/csv', requireAuth, (req, res) => {
       escapeCSVField(lead.name),
       escapeCSVField(formatPhoneForExcel(lead.phone)),
       escapeCSVField(lead.website),
+      leadWebsiteType(lead),
       escapeCSVField(lead.address),
       lead.rating || '',
       lead.reviewsCount || '',
@@ -1613,10 +5122,9 @@ app.get('/api/export/leads/csv', requireAuth, (req, res) => {
 
 // Export DNC list to CSV
 app.get('/api/export/dnc/csv', requireAuth, (req, res) => {
-  const dnc = loadDNC();
   const rows = [['Phone', 'Reason', 'Source', 'Added Date'].join(',')];
   
-  Object.entries(dnc.phones).forEach(([normalized, info]) => {
+  listDNC().forEach(info => {
     rows.push([
       escapeCSVField(formatPhoneForExcel(info.originalPhone)),
       escapeCSVField(info.reason),
@@ -1636,66 +5144,63 @@ app.get('/api/export/dnc/csv', requireAuth, (req, res) => {
 
 // Get all local leads
 app.get('/api/local/leads', requireAuth, (req, res) => {
-  const { campaign, status, search, limit = 500 } = req.query;
-  const data = loadLocalLeads();
-  
-  let leads = data.leads || [];
+  const { campaign, status, search, websiteType, limit = 500 } = req.query;
   
-  // Filter by campaign
-  if (campaign) {
-    leads = leads.filter(l => l.campaignId === campaign || l.campaignName === campaign);
-  }
-  
-  // Filter by status
-  if (status) {
-    leads = leads.filter(l => l.status === status);
-  }
-  
-  // Search
-  if (search) {
-    const term = search.toLowerCase();
-    leads = leads.filter(l => 
-      (l.name || '').toLowerCase().includes(term) ||
-      (l.phone || '').toLowerCase().includes(term) ||
-      (l.address || '').toLowerCase().includes(term) ||
-      (l.category || '').toLowerCase().includes(term)
-    );
-  }
+  // campaign, status, website type (none, social, placeholder, directory - comma separated)
+  // and search (name, phone, address, category)
+  const filters = { campaign, status, search, websiteType };
+  const total = countLeads(filters);
   
   // Sort by most recent first
-  leads = leads.sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+  const leads = findLeads(filters, { limit: parseInt(limit), newestFirst: true });
   
   res.json({
-    total: leads.length,
-    leads: leads.slice(0, parseInt(limit)),
-    hasMore: leads.length > parseInt(limit)
+    total,
+    leads: leads.map(l => ({ ...l, websiteType: leadWebsiteType(l) })),
+    hasMore: total > parseInt(limit)
+  });
+});
+
+// Re-run the website classifier on every saved lead (e.g. after editing the domain lists).
+// Leads are never removed here, even if their website now counts as real.
+app.post('/api/local/reclassify-websites', requireAuth, (req, res) => {
+  const leads = findLeads();
+  const counts = Object.fromEntries(WEBSITE_TYPES.map(type => [type, 0]));
+  const changed = [];
+  
+  leads.forEach(lead => {
+    const type = classifyWebsite(lead.website);
+    if (lead.websiteType !== type) changed.push(lead);
+    lead.websiteType = type;
+    counts[type]++;
   });
+  
+  saveLeads(changed);
+  logEvent('info', 'filter', `Reclassified websites of ${leads.length} leads (${changed.length} changed)`, counts);
+  res.json({ success: true, changed: changed.length, counts });
 });
 
 // Get local campaigns
 app.get('/api/local/campaigns', requireAuth, (req, res) => {
-  const data = loadLocalLeads();
-  res.json(data.campaigns || []);
+  res.json(loadCampaigns());
 });
 
 // Get local leads stats
 app.get('/api/local/stats', requireAuth, (req, res) => {
-  const data = loadLocalLeads();
-  const leads = data.leads || [];
-  
-  const withPhone = leads.filter(l => l.phone).length;
+  const totalLeads = countLeads();
+  const withPhone = db.prepare(`SELECT COUNT(*) AS count FROM leads WHERE COALESCE(json_extract(data, '$.phone'), '') != ''`).get().count;
   const byStatus = {};
-  leads.forEach(l => {
-    byStatus[l.status || 'New'] = (byStatus[l.status || 'New'] || 0) + 1;
+  db.prepare('SELECT status, COUNT(*) AS count FROM leads GROUP BY status').all().forEach(row => {
+    byStatus[row.status] = row.count;
   });
   
   res.json({
-    totalLeads: leads.length,
+    totalLeads,
     withPhone,
-    withoutPhone: leads.length - withPhone,
-    totalCampaigns: (data.campaigns || []).length,
+    withoutPhone: totalLeads - withPhone,
+    totalCampaigns: db.prepare('SELECT COUNT(*) AS count FROM campaigns').get().count,
     byStatus,
-    lastUpdated: data.lastUpdated
+    lastUpdated: getMeta('leadsUpdatedAt')
   });
 });
 
@@ -1704,8 +5209,7 @@ app.patch('/api/local/leads/:id', requireAuth, (req, res) => {
   const { id } = req.params;
   const { status, notes } = req.body;
   
-  const data = loadLocalLeads();
-  const lead = data.leads.find(l => l.id === id);
+  const lead = getLead(id);
   
   if (!lead) {
     return res.status(404).json({ error: 'Lead not found' });
@@ -1715,22 +5219,17 @@ app.patch('/api/local/leads/:id', requireAuth, (req, res) => {
   if (notes) lead.notes = notes;
   lead.updatedAt = new Date().toISOString();
   
-  saveLocalLeads(data);
+  saveLead(lead);
   res.json({ success: true, lead });
 });
 
 // Export local leads to CSV
 app.get('/api/local/export/csv', requireAuth, (req, res) => {
-  const { campaign } = req.query;
-  const data = loadLocalLeads();
-  let leads = data.leads || [];
-  
-  if (campaign) {
-    leads = leads.filter(l => l.campaignId === campaign || l.campaignName === campaign);
-  }
+  const { campaign, websiteType } = req.query;
+  const leads = findLeads({ campaign, websiteType });
   
   const csvRows = [
-    ['Company Name', 'Phone', 'Website', 'Address', 'Rating', 'Reviews', 'Category', 'Neighborhood', 'Campaign', 'Status', 'Scraped Date'].join(',')
+    ['Company Name', 'Phone', 'Website', 'Website Type', 'Address', 'Rating', 'Reviews', 'Category', 'Neighborhood', 'Postal Code', 'Out of Area', 'Search Language', 'Campaign', 'Found In', 'Status', 'Scraped Date'].join(',')
   ];
   
   leads.forEach(lead => {
@@ -1738,19 +5237,24 @@ app.get('/api/local/export/csv', requireAuth, (req, res) => {
       escapeCSVField(lead.name),
       escapeCSVField(formatPhoneForExcel(lead.phone)),
       escapeCSVField(lead.website),
+      leadWebsiteType(lead),
       escapeCSVField(lead.address),
       lead.rating || '',
       lead.reviewsCount || '',
       escapeCSVField(lead.category || lead.searchCategory),
       escapeCSVField(lead.neighborhood),
+      lead.fsa || '',
+      lead.outOfArea ? 'Yes' : '',
+      (lead.searchLanguages || []).join('+'),
       escapeCSVField(lead.campaignName),
+      escapeCSVField([...new Set(leadProvenance(lead).map(p => p.campaignName).filter(Boolean))].join(' | ')),
       lead.status || 'New',
       lead.importedAt || ''
     ];
     csvRows.push(row.join(','));
   });
   
-  const campaignName = campaign ? data.campaigns.find(c => c.id === campaign || c.name === campaign)?.name : 'all';
+  const campaignName = campaign ? findCampaign(campaign)?.name : 'all';
   const filename = `brio-leads-${(campaignName || 'all').replace(/[^a-z0-9]/gi, '-')}-${new Date().toISOString().split('T')[0]}.csv`;
   
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
@@ -1758,6 +5262,30 @@ app.get('/api/local/export/csv', requireAuth, (req, res) => {
   res.send('\ufeff' + csvRows.join('\n'));
 });
 
+// Export the lead database as JSON, in the shape of the old JSON stores
+// (local-leads.json, dnc-list.json, leads-pool.json, scrape-progress.json)
+app.get('/api/local/export/json', requireAuth, (req, res) => {
+  const dncPhones = {};
+  listDNC().forEach(({ phone, ...info }) => { dncPhones[phone] = info; });
+  
+  const { uniquePhones, ...poolTotals } = leadPoolStats();
+  const poolPhones = {};
+  db.prepare('SELECT * FROM lead_pool ORDER BY rowid').all().forEach(row => {
+    poolPhones[row.phone] = { leadId: row.lead_id, campaign: row.campaign, firstSeenAt: row.first_seen_at };
+  });
+  
+  const filename = `brio-lead-database-${new Date().toISOString().split('T')[0]}.json`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.json({
+    exportedAt: new Date().toISOString(),
+    localLeads: { leads: findLeads(), campaigns: loadCampaigns(), lastUpdated: getMeta('leadsUpdatedAt') },
+    dncList: { phones: dncPhones, lastUpdated: getMeta('dncUpdatedAt') },
+    leadPool: { phones: poolPhones, ...poolTotals },
+    scrapeProgress: loadScrapeProgress(),
+    spendLedger: { entries: spendEntries(), totalCost: db.prepare('SELECT COALESCE(SUM(cost), 0) AS cost FROM spend').get().cost }
+  });
+});
+
 // Helper: Format phone number for Excel (prevent formula interpretation)
 function formatPhoneForExcel(phone) {
   if (!phone) return '';
@@ -1792,13 +5320,285 @@ function escapeCSVField(value) {
 // Delete a campaign and its leads
 app.delete('/api/local/campaigns/:id', requireAuth, (req, res) => {
   const { id } = req.params;
-  const data = loadLocalLeads();
+  deleteCampaign(id);
+  res.json({ success: true });
+});
+
+// ============== DUPLICATE FINDER ==============
+// Saves are matched exactly (see findMatchingLead), but leads saved before that, or
+// typed differently ("Salon Marie Inc." / "Salon Marie", "4521 Rue St-Denis" /
+// "4521 St-Denis Street"), can still be the same business. Leads that share a phone,
+// a place id, a street number or the first word of their name are compared pairwise;
+// pairs scoring at least minScore are grouped into clusters for review. Nothing is
+// merged without a confirmation (POST /api/local/duplicates/merge).
+
+const DUPLICATE_MIN_SCORE = 0.75;
+const DUPLICATE_MAX_GROUP = 500; // larger groups (e.g. every "restaurant ...") are not compared
+
+// Sørensen-Dice coefficient of the character pairs of two strings (0..1)
+function bigramSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+  const right = bigrams(b);
+  let overlap = 0;
+  bigrams(a).forEach((count, pair) => { overlap += Math.min(count, right.get(pair) || 0); });
+  const total = a.length + b.length - 2;
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+// Accent-insensitive, without legal suffixes; word order does not matter ("Salon Marie" / "Marie Salon")
+function nameSimilarity(a, b) {
+  const wordsA = businessNameWords(a);
+  const wordsB = businessNameWords(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+  const shared = wordsA.filter(word => wordsB.includes(word)).length;
+  return Math.max(bigramSimilarity(wordsA.join(' '), wordsB.join(' ')), shared / Math.max(wordsA.length, wordsB.length));
+}
+
+// 0 for different street numbers, null when either address has none
+function addressSimilarity(a, b) {
+  const streetA = streetWords(a);
+  const streetB = streetWords(b);
+  const numberA = streetA.find(word => /\d/.test(word));
+  const numberB = streetB.find(word => /\d/.test(word));
+  if (!numberA || !numberB) return null;
+  if (numberA !== numberB) return 0;
+  return bigramSimilarity(streetA.join(' '), streetB.join(' '));
+}
+
+function callablePhone(lead) {
+  const phone = normalizePhone(lead.phone);
+  return phone?.length === 10 ? phone : null;
+}
+
+// 0..1 with the reasons behind it
+function scoreDuplicatePair(a, b) {
+  const name = nameSimilarity(a, b);
+  const address = addressSimilarity(a, b);
+  const samePhone = !!callablePhone(a) && callablePhone(a) === callablePhone(b);
+  const samePlace = !!a.placeId && a.placeId === b.placeId;
+  
+  let score = address === null ? name * 0.8 : name * 0.6 + address * 0.4;
+  if (samePhone) score += 0.25;
+  if (samePlace) score = 1;
+  
+  const reasons = [];
+  if (samePlace) reasons.push('same Google place');
+  if (samePhone) reasons.push('same phone');
+  reasons.push(name === 1 ? 'same name' : `name ${Math.round(name * 100)}% alike`);
+  if (address !== null) reasons.push(address === 1 ? 'same address' : `address ${Math.round(address * 100)}% alike`);
+  return { score: Math.round(Math.min(1, score) * 100) / 100, reasons };
+}
+
+function duplicateGroupKeys(lead) {
+  const keys = [];
+  const phone = callablePhone(lead);
+  if (phone) keys.push(`phone:${phone}`);
+  if (lead.placeId) keys.push(`place:${lead.placeId}`);
+  const number = streetWords(lead).find(word => /\d/.test(word));
+  if (number) keys.push(`number:${number}`);
+  const firstWord = businessNameWords(lead)[0];
+  if (firstWord) keys.push(`name:${firstWord}`);
+  return keys;
+}
+
+const duplicatePairKey = (idA, idB) => [idA, idB].sort().join('|');
+
+// Clusters of probable duplicates, best first. A cluster's score is its weakest pair;
+// pairs dismissed as "not duplicates" are left out.
+function findDuplicateClusters(minScore = DUPLICATE_MIN_SCORE) {
+  const leads = findLeads();
+  const dismissed = new Set(getMeta('dismissedDuplicates', []));
   
-  data.campaigns = data.campaigns.filter(c => c.id !== id);
-  data.leads = data.leads.filter(l => l.campaignId !== id);
+  const groups = new Map();
+  leads.forEach((lead, index) => {
+    duplicateGroupKeys(lead).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+  });
   
-  saveLocalLeads(data);
-  res.json({ success: true });
+  const compared = new Set();
+  const pairs = [];
+  let skippedGroups = 0;
+  groups.forEach(members => {
+    if (members.length < 2) return;
+    if (members.length > DUPLICATE_MAX_GROUP) {
+      skippedGroups++;
+      return;
+    }
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]];
+        const key = duplicatePairKey(leads[a].id, leads[b].id);
+        if (compared.has(key) || dismissed.has(key)) continue;
+        compared.add(key);
+        const { score, reasons } = scoreDuplicatePair(leads[a], leads[b]);
+        if (score >= minScore) pairs.push({ a, b, score, reasons });
+      }
+    }
+  });
+  
+  // Pairs sharing a lead end up in the same cluster
+  const parent = leads.map((_, index) => index);
+  const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  pairs.forEach(({ a, b }) => { parent[root(a)] = root(b); });
+  
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const key = root(pair.a);
+    if (!clusters.has(key)) clusters.set(key, { members: new Set(), pairs: [] });
+    const cluster = clusters.get(key);
+    cluster.members.add(pair.a);
+    cluster.members.add(pair.b);
+    cluster.pairs.push(pair);
+  });
+  
+  return {
+    scanned: leads.length,
+    skippedGroups,
+    clusters: [...clusters.values()].map(cluster => {
+      const members = [...cluster.members].map(index => leads[index]);
+      return {
+        score: Math.min(...cluster.pairs.map(pair => pair.score)),
+        // The oldest record is kept by default - it carries the longest history
+        suggestedKeepId: members.reduce((oldest, lead) => ((lead.importedAt || '') < (oldest.importedAt || '') ? lead : oldest)).id,
+        leads: members,
+        pairs: cluster.pairs.map(pair => ({ ids: [leads[pair.a].id, leads[pair.b].id], score: pair.score, reasons: pair.reasons }))
+      };
+    }).sort((a, b) => b.score - a.score)
+  };
+}
+
+// Call outcomes that settle a business: any of them beats a later 'No Answer' or 'Callback'
+const FINAL_LEAD_STATUSES = ['Not Interested', 'Invalid', 'Qualified'];
+
+// Merge leads into `keep`: missing fields come from the most recently updated leads, the
+// latest final call outcome (else the latest one) wins over 'New', notes and emails are
+// combined, and provenance plus a `mergedFrom` record of every absorbed lead keep the
+// history. A business that declined puts every merged phone on the DNC list. The absorbed
+// leads are deleted and their campaigns' lead counts go down.
+// Returns { lead, addedToDnc }
+const mergeDuplicateLeads = db.transaction((leads, keep) => {
+  const now = new Date().toISOString();
+  const absorbed = leads.filter(lead => lead.id !== keep.id);
+  const lastTouched = lead => lead.updatedAt || lead.importedAt || '';
+  const byRecent = [...leads].sort((a, b) => lastTouched(b).localeCompare(lastTouched(a)));
+  
+  byRecent.forEach(lead => {
+    Object.entries(lead).forEach(([field, value]) => {
+      if (!LEAD_RECORD_FIELDS.includes(field) && isEmptyField(keep[field]) && !isEmptyField(value)) keep[field] = value;
+    });
+  });
+  
+  const called = byRecent.find(lead => FINAL_LEAD_STATUSES.includes(lead.status))
+    || byRecent.find(lead => (lead.status || 'New') !== 'New');
+  keep.status = called ? called.status : 'New';
+  
+  const allLeads = [keep, ...absorbed];
+  const notes = [...new Set(allLeads.map(lead => lead.notes).filter(Boolean))];
+  if (notes.length > 0) keep.notes = notes.join('\n---\n');
+  const emails = [...new Set(allLeads.flatMap(lead => lead.allEmails || (lead.email ? [lead.email] : [])))];
+  if (emails.length > 0) keep.allEmails = emails;
+  const languages = [...new Set(allLeads.flatMap(lead => lead.searchLanguages || []))];
+  if (languages.length > 0) keep.searchLanguages = languages;
+  
+  const sightings = new Map();
+  allLeads.flatMap(leadProvenance).forEach(p => sightings.set(JSON.stringify([p.campaignId, p.category, p.area, p.jobId]), p));
+  keep.provenance = [...sightings.values()].sort((a, b) => (a.foundAt || '').localeCompare(b.foundAt || ''));
+  keep.mergedFrom = [
+    ...(keep.mergedFrom || []),
+    ...absorbed.flatMap(lead => [
+      { id: lead.id, name: lead.name, phone: lead.phone, address: lead.address, campaignId: lead.campaignId, campaignName: lead.campaignName, status: lead.status || 'New', notes: lead.notes || null, importedAt: lead.importedAt, mergedAt: now },
+      ...(lead.mergedFrom || [])
+    ])
+  ];
+  keep.websiteType = classifyWebsite(keep.website);
+  keep.updatedAt = now;
+  
+  // The DNC entry may be on an absorbed lead's number, not the one kept
+  let addedToDnc = 0;
+  if (keep.status === 'Not Interested') {
+    new Set(leads.map(lead => lead.phone).filter(Boolean)).forEach(phone => {
+      if (!dncEntry(phone) && addToDNC(phone, 'Customer declined', 'duplicate_merge')) addedToDnc++;
+    });
+  }
+  
+  saveLead(keep);
+  deleteLeads(absorbed.map(lead => lead.id));
+  const repointPool = db.prepare('UPDATE lead_pool SET lead_id = ? WHERE lead_id = ?');
+  absorbed.forEach(lead => {
+    repointPool.run(keep.id, lead.id);
+    const campaign = lead.campaignId && findCampaign(lead.campaignId);
+    if (campaign) {
+      campaign.leadsCount = Math.max(0, (campaign.leadsCount || 0) - 1);
+      saveCampaign(campaign);
+    }
+  });
+  return { lead: keep, addedToDnc };
+});
+
+// Probable duplicates. ?minScore=0.75 (0..1), ?limit=50 clusters
+app.get('/api/local/duplicates', requireAuth, (req, res) => {
+  const minScore = Math.min(1, Math.max(0, parseFloat(req.query.minScore) || DUPLICATE_MIN_SCORE));
+  const limit = parseInt(req.query.limit) || 50;
+  const result = findDuplicateClusters(minScore);
+  
+  logEvent('info', 'dedup', `Duplicate scan: ${result.clusters.length} clusters in ${result.scanned} leads (min score ${minScore})`, { skippedGroups: result.skippedGroups });
+  res.json({
+    minScore,
+    scanned: result.scanned,
+    skippedGroups: result.skippedGroups,
+    totalClusters: result.clusters.length,
+    clusters: result.clusters.slice(0, limit)
+  });
+});
+
+// Body: { ids: [...], keepId } - keepId defaults to the oldest lead
+app.post('/api/local/duplicates/merge', requireAuth, (req, res) => {
+  const { ids, keepId } = req.body || {};
+  if (!Array.isArray(ids) || new Set(ids).size < 2) {
+    return res.status(400).json({ error: 'Pick at least two leads to merge' });
+  }
+  
+  const uniqueIds = [...new Set(ids)];
+  const leads = uniqueIds.map(getLead);
+  const missing = uniqueIds.filter((id, i) => !leads[i]);
+  if (missing.length > 0) {
+    return res.status(404).json({ error: `Leads not found: ${missing.join(', ')}` });
+  }
+  if (keepId && !uniqueIds.includes(keepId)) {
+    return res.status(400).json({ error: 'keepId must be one of the merged leads' });
+  }
+  
+  const keep = keepId
+    ? leads.find(lead => lead.id === keepId)
+    : leads.reduce((oldest, lead) => ((lead.importedAt || '') < (oldest.importedAt || '') ? lead : oldest));
+  const { lead: merged, addedToDnc } = mergeDuplicateLeads(leads, keep);
+  
+  logEvent('success', 'dedup', `Merged ${leads.length - 1} duplicates into "${merged.name}"${addedToDnc ? ` (${addedToDnc} phones added to DNC)` : ''}`, { keptId: merged.id, mergedIds: uniqueIds.filter(id => id !== merged.id), addedToDnc });
+  res.json({ success: true, merged: leads.length - 1, lead: merged, addedToDnc });
+});
+
+// Body: { ids: [...] } - these leads are not flagged as duplicates of each other again
+app.post('/api/local/duplicates/dismiss', requireAuth, (req, res) => {
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids) || ids.length < 2) {
+    return res.status(400).json({ error: 'Pick at least two leads' });
+  }
+  
+  const dismissed = new Set(getMeta('dismissedDuplicates', []));
+  ids.forEach((idA, i) => ids.slice(i + 1).forEach(idB => dismissed.add(duplicatePairKey(idA, idB))));
+  setMeta('dismissedDuplicates', [...dismissed]);
+  res.json({ success: true, dismissedPairs: dismissed.size });
 });
 
 // ============== AIRTABLE ROUTES ==============
@@ -1926,6 +5726,46 @@ app.get('/api/automation/logs', requireAuth, (req, res) => {
   res.json(events.slice(0, parseInt(limit)));
 });
 
+// Live stream of log events and job progress (Server-Sent Events).
+// ?jobId=... narrows it to one scrape or extraction job, ?node=scraper,email-extract to some nodes,
+// ?history=20 replays the last matching log events first.
+app.get('/api/events/stream', requireAuth, (req, res) => {
+  const { jobId, node, history } = req.query;
+  const stream = {
+    res,
+    jobId: jobId || null,
+    nodes: node ? String(node).split(',').map(n => n.trim()).filter(Boolean) : null
+  };
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  
+  const send = (name, payload) => res.write(`event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+  if (parseInt(history) > 0) {
+    automationLogs.events
+      .filter(e => (!stream.jobId || e.data?.jobId === stream.jobId) && (!stream.nodes || stream.nodes.includes(e.node)))
+      .slice(0, parseInt(history))
+      .reverse()
+      .forEach(e => send('log', e));
+  }
+  // Current state first, so a (re)connecting client never waits for the next checkpoint
+  if (stream.jobId && scrapingJobs.has(stream.jobId)) send('scrape-job', scrapeJobStatus(scrapingJobs.get(stream.jobId)));
+  if (stream.jobId && emailExtractionJobs.has(stream.jobId)) send('email-job', emailJobStatus(emailExtractionJobs.get(stream.jobId)));
+  
+  liveStreams.add(stream);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    liveStreams.delete(stream);
+  });
+});
+
 app.get('/api/automation/errors', requireAuth, (req, res) => {
   const { limit = 50 } = req.query;
   res.json(automationLogs.errors.slice(0, parseInt(limit)));
@@ -1939,6 +5779,7 @@ app.get('/api/automation/jobs', requireAuth, (req, res) => {
 app.get('/api/automation/status', requireAuth, (req, res) => {
   res.json({
     systemStatus: automationLogs.systemStatus,
+    scheduler: dataforseoScheduler.getStatus(),
     stats: {
       totalEvents: automationLogs.events.length,
       totalErrors: automationLogs.errors.length,
@@ -1950,8 +5791,9 @@ app.get('/api/automation/status', requireAuth, (req, res) => {
         new Date(j.startTime) > new Date(Date.now() - 24 * 60 * 60 * 1000)
       ).length
     },
-    activeJobs: Array.from(scrapingJobs.values()).filter(j => j.status === 'running').map(j => ({
+    activeJobs: Array.from(scrapingJobs.values()).filter(j => j.status === 'running' || j.status === 'paused').map(j => ({
       id: j.id,
+      status: j.status,
       campaign: j.campaignName,
       progress: j.progress,
       currentNeighborhood: j.currentNeighborhood
@@ -2034,7 +5876,7 @@ app.get('/api/automation/workflow', requireAuth, (req, res) => {
       { id: 'neighborhoods', type: 'data', label: 'Get Neighborhoods', x: 350, y: 150, status: 'idle' },
       { id: 'loop', type: 'loop', label: 'For Each Neighborhood', x: 500, y: 150, status: 'idle' },
       { id: 'scraper', type: 'api', label: 'DataForSEO Scrape', x: 650, y: 100, status: automationLogs.systemStatus.dataforseo.status },
-      { id: 'rate-limiter', type: 'utility', label: 'Rate Limiter (2s)', x: 650, y: 200, status: 'idle' },
+      { id: 'rate-limiter', type: 'utility', label: 'Request Scheduler', x: 650, y: 200, status: dataforseoScheduler.getStatus().backingOff ? 'warning' : 'idle' },
       { id: 'deduplication', type: 'transform', label: 'Deduplicate', x: 800, y: 150, status: 'idle' },
       { id: 'airtable', type: 'api', label: 'Import to Airtable', x: 950, y: 150, status: automationLogs.systemStatus.airtable.status },
       { id: 'complete', type: 'end', label: 'Complete', x: 1100, y: 150, status: 'idle' }
@@ -2054,43 +5896,19 @@ app.get('/api/automation/workflow', requireAuth, (req, res) => {
 });
 
 // DNC List Management
-// Paths are now handled in PERSISTENCE SETUP section at top of file
-
-function loadDNC() {
-  if (existsSync(DNC_PATH)) {
-    return JSON.parse(readFileSync(DNC_PATH, 'utf-8'));
-  }
-  return { phones: {}, lastUpdated: null };
-}
-
-function saveDNC(data) {
-  data.lastUpdated = new Date().toISOString();
-  writeFileSync(DNC_PATH, JSON.stringify(data, null, 2));
-}
+// Storage is in the LEAD DATABASE section at top of file
 
 function normalizePhone(phone) {
   if (!phone) return null;
   return phone.replace(/\D/g, '').slice(-10);
 }
 
-function loadLeadPool() {
-  if (existsSync(LEADS_POOL_PATH)) {
-    return JSON.parse(readFileSync(LEADS_POOL_PATH, 'utf-8'));
-  }
-  return { phones: {}, lastScrape: null, totalScraped: 0, totalImported: 0, totalDuplicates: 0 };
-}
-
-function saveLeadPool(data) {
-  writeFileSync(LEADS_POOL_PATH, JSON.stringify(data, null, 2));
-}
-
 // DNC API endpoints
 app.get('/api/dnc', requireAuth, (req, res) => {
-  const dnc = loadDNC();
   res.json({
-    count: Object.keys(dnc.phones).length,
-    lastUpdated: dnc.lastUpdated,
-    phones: Object.entries(dnc.phones).slice(0, 100).map(([normalized, info]) => ({
+    count: dncCount(),
+    lastUpdated: getMeta('dncUpdatedAt'),
+    phones: listDNC(100).map(info => ({
       phone: info.originalPhone,
       reason: info.reason,
       addedAt: info.addedAt
@@ -2100,46 +5918,30 @@ app.get('/api/dnc', requireAuth, (req, res) => {
 
 app.post('/api/dnc/add', requireAuth, (req, res) => {
   const { phone, reason = 'Manual add' } = req.body;
-  const dnc = loadDNC();
-  const normalized = normalizePhone(phone);
   
-  if (!normalized) {
+  if (!addToDNC(phone, reason, 'manual')) {
     return res.status(400).json({ error: 'Invalid phone number' });
   }
-
-  dnc.phones[normalized] = {
-    originalPhone: phone,
-    reason,
-    source: 'manual',
-    addedAt: new Date().toISOString()
-  };
-  saveDNC(dnc);
   
   logEvent('info', 'dnc', `Added ${phone} to DNC list: ${reason}`);
-  res.json({ success: true, count: Object.keys(dnc.phones).length });
+  res.json({ success: true, count: dncCount() });
 });
 
 app.post('/api/dnc/check', requireAuth, (req, res) => {
   const { phone } = req.body;
-  const dnc = loadDNC();
-  const normalized = normalizePhone(phone);
-  const blocked = normalized ? !!dnc.phones[normalized] : false;
+  const info = normalizePhone(phone) ? dncEntry(phone) : null;
   
   res.json({ 
     phone, 
-    blocked,
-    info: blocked ? dnc.phones[normalized] : null
+    blocked: !!info,
+    info
   });
 });
 
 app.delete('/api/dnc/:phone', requireAuth, (req, res) => {
   const { phone } = req.params;
-  const dnc = loadDNC();
-  const normalized = normalizePhone(phone);
   
-  if (normalized && dnc.phones[normalized]) {
-    delete dnc.phones[normalized];
-    saveDNC(dnc);
+  if (normalizePhone(phone) && removeFromDNC(phone)) {
     logEvent('info', 'dnc', `Removed ${phone} from DNC list`);
     res.json({ success: true });
   } else {
@@ -2149,23 +5951,21 @@ app.delete('/api/dnc/:phone', requireAuth, (req, res) => {
 
 // Lead Pool Stats
 app.get('/api/leads/pool-stats', requireAuth, (req, res) => {
-  const pool = loadLeadPool();
-  const dnc = loadDNC();
+  const pool = leadPoolStats();
   
   res.json({
-    uniquePhones: Object.keys(pool.phones).length,
+    uniquePhones: pool.uniquePhones,
     lastScrape: pool.lastScrape,
     totalScraped: pool.totalScraped,
     totalImported: pool.totalImported,
     totalDuplicates: pool.totalDuplicates,
-    dncCount: Object.keys(dnc.phones).length
+    dncCount: dncCount()
   });
 });
 
 // Pipeline Health Check
 app.get('/api/leads/health', requireAuth, async (req, res) => {
-  const pool = loadLeadPool();
-  const dnc = loadDNC();
+  const pool = leadPoolStats();
   
   let availableLeads = 0;
   let pendingCallbacks = 0;
@@ -2206,8 +6006,8 @@ app.get('/api/leads/health', requireAuth, async (req, res) => {
   res.json({
     availableLeads,
     pendingCallbacks,
-    uniquePhonesTracked: Object.keys(pool.phones).length,
-    dncListSize: Object.keys(dnc.phones).length,
+    uniquePhonesTracked: pool.uniquePhones,
+    dncListSize: dncCount(),
     lastScrape: pool.lastScrape,
     daysRemaining,
     dailyTarget,
@@ -2218,8 +6018,6 @@ app.get('/api/leads/health', requireAuth, async (req, res) => {
 // Validate leads before import (check DNC + duplicates)
 app.post('/api/leads/validate', requireAuth, (req, res) => {
   const { leads } = req.body;
-  const dnc = loadDNC();
-  const pool = loadLeadPool();
   
   const results = {
     valid: [],
@@ -2241,13 +6039,15 @@ app.post('/api/leads/validate', requireAuth, (req, res) => {
       continue;
     }
     
-    if (dnc.phones[normalized]) {
-      results.dnc.push({ lead, reason: dnc.phones[normalized].reason });
+    const dnc = dncEntry(normalized);
+    if (dnc) {
+      results.dnc.push({ lead, reason: dnc.reason });
       continue;
     }
     
-    if (pool.phones[normalized]) {
-      results.duplicates.push({ lead, existingCampaign: pool.phones[normalized].campaign });
+    const pooled = leadPoolEntry(normalized);
+    if (pooled) {
+      results.duplicates.push({ lead, existingCampaign: pooled.campaign });
       continue;
     }
     
@@ -2267,26 +6067,7 @@ app.post('/api/leads/validate', requireAuth, (req, res) => {
 // Track imported leads (prevent future duplicates)
 app.post('/api/leads/track', requireAuth, (req, res) => {
   const { leads, campaign } = req.body;
-  const pool = loadLeadPool();
-  
-  let tracked = 0;
-  for (const lead of leads) {
-    if (lead.phone) {
-      const normalized = normalizePhone(lead.phone);
-      if (normalized && !pool.phones[normalized]) {
-        pool.phones[normalized] = {
-          leadId: lead.id,
-          campaign,
-          firstSeenAt: new Date().toISOString()
-        };
-        tracked++;
-      }
-    }
-  }
-  
-  pool.totalImported += tracked;
-  pool.lastScrape = new Date().toISOString();
-  saveLeadPool(pool);
+  const tracked = trackLeadPoolPhones(leads, campaign);
   
   logEvent('success', 'leads', `Tracked ${tracked} new leads for campaign: ${campaign}`);
   res.json({ success: true, tracked });
@@ -2312,17 +6093,7 @@ app.post('/api/leads/outcome', requireAuth, (req, res) => {
   
   // Add to DNC if needed
   if (action.addToDnc && phone) {
-    const dnc = loadDNC();
-    const normalized = normalizePhone(phone);
-    if (normalized) {
-      dnc.phones[normalized] = {
-        originalPhone: phone,
-        reason: action.dncReason,
-        source: 'call_outcome',
-        addedAt: new Date().toISOString()
-      };
-      saveDNC(dnc);
-    }
+    addToDNC(phone, action.dncReason, 'call_outcome');
   }
   
   logEvent('info', 'outcome', `Call outcome for ${phone}: ${outcome}`);
@@ -2346,13 +6117,12 @@ app.post('/api/emails/extract/single', requireAuth, async (req, res) => {
     
     // If leadId provided, update the lead with the email
     if (leadId && result.bestEmail) {
-      const data = loadLocalLeads();
-      const lead = data.leads.find(l => l.id === leadId);
+      const lead = getLead(leadId);
       if (lead) {
         lead.email = result.bestEmail;
         lead.emailExtractedAt = new Date().toISOString();
         lead.allEmails = result.emails.map(e => e.email);
-        saveLocalLeads(data);
+        saveLead(lead);
       }
     }
     
@@ -2388,6 +6158,7 @@ app.post('/api/emails/extract', requireAuth, async (req, res) => {
   emailExtractionJobs.set(jobId, job);
   
   logEvent('start', 'email-extract', `Starting bulk email extraction: ${leadIds.length} leads`, { jobId });
+  publishEmailJob(job);
   
   // Run extraction in background
   runEmailExtractionJob(jobId, leadIds);
@@ -2398,15 +6169,15 @@ app.post('/api/emails/extract', requireAuth, async (req, res) => {
 // Background job for bulk email extraction
 async function runEmailExtractionJob(jobId, leadIds) {
   const job = emailExtractionJobs.get(jobId);
-  const data = loadLocalLeads();
   
   for (const leadId of leadIds) {
-    const lead = data.leads.find(l => l.id === leadId);
+    const lead = getLead(leadId);
     
     if (!lead) {
       job.failed++;
       job.processed++;
       job.results.push({ leadId, error: 'Lead not found' });
+      publishEmailJob(job);
       continue;
     }
     
@@ -2414,6 +6185,7 @@ async function runEmailExtractionJob(jobId, leadIds) {
       job.failed++;
       job.processed++;
       job.results.push({ leadId, name: lead.name, error: 'No website' });
+      publishEmailJob(job);
       continue;
     }
     
@@ -2421,11 +6193,12 @@ async function runEmailExtractionJob(jobId, leadIds) {
     if (lead.email) {
       job.processed++;
       job.results.push({ leadId, name: lead.name, email: lead.email, skipped: true });
+      publishEmailJob(job);
       continue;
     }
     
     try {
-      logEvent('info', 'email-extract', `Extracting from ${lead.website} (${job.processed + 1}/${job.totalLeads})`);
+      logEvent('info', 'email-extract', `Extracting from ${lead.website} (${job.processed + 1}/${job.totalLeads})`, { jobId });
       
       const result = await emailExtractor.crawlWebsite(lead.website);
       
@@ -2433,6 +6206,7 @@ async function runEmailExtractionJob(jobId, leadIds) {
         lead.email = result.bestEmail;
         lead.emailExtractedAt = new Date().toISOString();
         lead.allEmails = result.emails.map(e => e.email);
+        saveLead(lead);
         job.extracted++;
         job.results.push({ 
           leadId, 
@@ -2440,7 +6214,7 @@ async function runEmailExtractionJob(jobId, leadIds) {
           email: result.bestEmail,
           totalFound: result.totalFound
         });
-        logEvent('success', 'email-extract', `Found email for ${lead.name}: ${result.bestEmail}`);
+        logEvent('success', 'email-extract', `Found email for ${lead.name}: ${result.bestEmail}`, { jobId });
       } else {
         job.results.push({ 
           leadId, 
@@ -2452,20 +6226,19 @@ async function runEmailExtractionJob(jobId, leadIds) {
     } catch (error) {
       job.failed++;
       job.results.push({ leadId, name: lead.name, error: error.message });
-      logEvent('error', 'email-extract', `Failed for ${lead.name}: ${error.message}`);
+      logEvent('error', 'email-extract', `Failed for ${lead.name}: ${error.message}`, { jobId });
     }
     
     job.processed++;
+    publishEmailJob(job);
     
     // Rate limiting
     await new Promise(resolve => setTimeout(resolve, emailExtractor.delay));
   }
   
-  // Save all updated leads
-  saveLocalLeads(data);
-  
   job.status = 'completed';
   job.endTime = new Date().toISOString();
+  publishEmailJob(job);
   
   logEvent('complete', 'email-extract', `Bulk extraction completed: ${job.extracted} emails found from ${job.totalLeads} leads`, {
     jobId,
@@ -2484,18 +6257,29 @@ app.get('/api/emails/extract/status/:jobId', requireAuth, (req, res) => {
     return res.status(404).json({ error: 'Job not found' });
   }
   
-  res.json({
+  res.json(emailJobStatus(job));
+});
+
+// Status payload of an extraction job (status route and 'email-job' live events)
+function emailJobStatus(job) {
+  return {
     id: job.id,
     status: job.status,
+    campaign: job.campaign,
     totalLeads: job.totalLeads,
     processed: job.processed,
     extracted: job.extracted,
     failed: job.failed,
     progress: Math.round((job.processed / job.totalLeads) * 100),
+    lastResult: job.results[job.results.length - 1] || null,
     startTime: job.startTime,
     endTime: job.endTime
-  });
-});
+  };
+}
+
+function publishEmailJob(job) {
+  publishLive('email-job', emailJobStatus(job), { jobId: job.id, node: 'email-extract' });
+}
 
 // Get extraction job results
 app.get('/api/emails/extract/results/:jobId', requireAuth, (req, res) => {
@@ -2521,36 +6305,23 @@ app.get('/api/emails/extract/results/:jobId', requireAuth, (req, res) => {
 // Get leads with email filter
 app.get('/api/local/leads/with-emails', requireAuth, (req, res) => {
   const { hasEmail, campaign, limit = 500 } = req.query;
-  const data = loadLocalLeads();
-  
-  let leads = data.leads || [];
   
-  // Filter by email presence
-  if (hasEmail === 'true') {
-    leads = leads.filter(l => l.email);
-  } else if (hasEmail === 'false') {
-    leads = leads.filter(l => !l.email && l.website);
-  }
-  
-  // Filter by campaign
-  if (campaign) {
-    leads = leads.filter(l => l.campaignId === campaign || l.campaignName === campaign);
-  }
-  
-  // Sort by most recent
-  leads = leads.sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+  // Filter by email presence ('false' = no email but a website) and campaign
+  const filters = { hasEmail, campaign };
   
-  const withEmail = (data.leads || []).filter(l => l.email).length;
-  const withWebsite = (data.leads || []).filter(l => l.website && !l.email).length;
+  const totalLeads = countLeads();
+  const withEmail = countLeads({ hasEmail: 'true' });
+  const withWebsite = countLeads({ hasEmail: 'false' });
   
   res.json({
-    total: leads.length,
-    leads: leads.slice(0, parseInt(limit)),
+    total: countLeads(filters),
+    // Sort by most recent
+    leads: findLeads(filters, { limit: parseInt(limit), newestFirst: true }),
     stats: {
-      totalLeads: (data.leads || []).length,
+      totalLeads,
       withEmail,
       withWebsite,
-      noWebsite: (data.leads || []).length - withEmail - withWebsite
+      noWebsite: totalLeads - withEmail - withWebsite
     }
   });
 });
@@ -2560,33 +6331,15 @@ app.get('/api/local/leads/with-emails', requireAuth, (req, res) => {
 // Export leads with emails for Instantly
 app.get('/api/export/instantly/csv', requireAuth, (req, res) => {
   const { campaign, onlyWithEmail = 'true', ids, industry, area } = req.query;
-  const data = loadLocalLeads();
   
-  let leads = data.leads || [];
-  
-  // Filter by specific IDs if provided
-  if (ids) {
-    const idList = ids.split(',');
-    leads = leads.filter(l => idList.includes(l.id));
-  } else {
-    // Filter by campaign
-    if (campaign) {
-      leads = leads.filter(l => l.campaignId === campaign || l.campaignName === campaign);
-    }
-    // Filter by industry
-    if (industry) {
-      leads = leads.filter(l => (l.category || l.searchCategory || '').toLowerCase().includes(industry.toLowerCase()));
-    }
-    // Filter by area
-    if (area) {
-      leads = leads.filter(l => l.neighborhood === area);
-    }
-  }
+  // Filter by specific IDs if provided, otherwise by campaign, industry and area;
+  // then by email presence
+  const filters = ids
+    ? { ids: ids.split(',') }
+    : { campaign, industry, neighborhood: area };
+  if (onlyWithEmail === 'true') filters.hasEmail = 'true';
   
-  // Filter by email presence
-  if (onlyWithEmail === 'true') {
-    leads = leads.filter(l => l.email);
-  }
+  const leads = findLeads(filters);
   
   // Instantly CSV format
   // Required: email
@@ -2625,9 +6378,7 @@ app.get('/api/export/instantly/csv', requireAuth, (req, res) => {
     rows.push(row.join(','));
   });
   
-  const campaignName = campaign ? 
-    data.campaigns.find(c => c.id === campaign || c.name === campaign)?.name : 
-    'all';
+  const campaignName = campaign ? findCampaign(campaign)?.name : 'all';
   const filename = `instantly-${(campaignName || 'all').replace(/[^a-z0-9]/gi, '-')}-${new Date().toISOString().split('T')[0]}.csv`;
   
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
@@ -2666,6 +6417,14 @@ app.get('*', (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'));
 });
 
+// Import the JSON stores on the first start with the lead database
+migrateJsonStores();
+migrateSpendLedger();
+
+// Pick up scrape jobs interrupted by the last shutdown
+resumeSavedJobs();
+setInterval(scheduleTick, SCHEDULE_TICK_MS);
+
 // Start server
 app.listen(PORT, () => {
   console.log('');